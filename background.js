@@ -1,9 +1,24 @@
 // Background service worker for the extension
 console.log('World Opinion background service worker loaded');
 
+// Context menu item IDs
+const MENU_ANALYZE_SELECTION = 'analyze-selection';
+const MENU_ANALYZE_LINK = 'analyze-link';
+
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener(() => {
   console.log('World Opinion extension installed');
+
+  chrome.contextMenus.create({
+    id: MENU_ANALYZE_SELECTION,
+    title: 'See how the world says about selection',
+    contexts: ['selection']
+  });
+  chrome.contextMenus.create({
+    id: MENU_ANALYZE_LINK,
+    title: 'See how the world says about this link',
+    contexts: ['link']
+  });
 });
 
 // Open side panel when extension icon is clicked
@@ -11,6 +26,16 @@ chrome.action.onClicked.addListener((tab) => {
   chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
+// Analyze a selection or link from the context menu
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  // Must be called synchronously while the user gesture is still active
+  chrome.sidePanel.open({ windowId: tab.windowId });
+
+  handleContextMenuClick(info, tab).catch(error => {
+    console.error('Context menu analysis failed:', error);
+  });
+});
+
 // Handle messages from popup or content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'analyze') {
@@ -19,6 +44,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep the message channel open for async response
   }
+
+  if (request.action === 'fetchPage') {
+    fetchPage(request.url)
+      .then(result => sendResponse({ success: true, data: result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 });
 
 async function handleAnalysis(data) {
@@ -26,3 +58,70 @@ async function handleAnalysis(data) {
   // For now, just a placeholder
   return data;
 }
+
+/**
+ * Hand the clicked selection or link to the side panel
+ * The target is parked in session storage so a panel that is still opening
+ * can pick it up on load; an already-open panel is notified directly.
+ */
+async function handleContextMenuClick(info, tab) {
+  let target;
+  if (info.menuItemId === MENU_ANALYZE_SELECTION) {
+    target = {
+      type: 'selection',
+      tabId: tab.id,
+      text: await getSelectionText(tab.id, info.selectionText)
+    };
+  } else if (info.menuItemId === MENU_ANALYZE_LINK) {
+    target = {
+      type: 'link',
+      tabId: tab.id,
+      url: info.linkUrl
+    };
+  } else {
+    return;
+  }
+
+  await chrome.storage.session.set({ pendingTarget: target });
+
+  try {
+    await chrome.runtime.sendMessage({ action: 'analyzeTarget' });
+  } catch (e) {
+    // Side panel not open yet - it will read pendingTarget on load
+  }
+}
+
+/**
+ * Read the selection with line breaks intact
+ * `info.selectionText` collapses whitespace, so prefer the page's own
+ * selection and fall back to it where scripts can't be injected.
+ */
+async function getSelectionText(tabId, fallback) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.getSelection().toString()
+    });
+    return results[0].result || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Fetch a linked page's HTML for analysis
+ * The side panel parses it, since service workers have no DOMParser.
+ */
+async function fetchPage(url) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch linked page: ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('html')) {
+    throw new Error(`Linked page is not a web page (${contentType || 'unknown type'})`);
+  }
+
+  return { html: await response.text(), url: response.url };
+}
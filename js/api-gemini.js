@@ -1,6 +1,7 @@
 /**
- * Gemini API service layer
- * Handles both cloud API and on-device Nano analysis
+ * Model service layer: prompts, analysis, filtering and the agent loop
+ * Cloud and server models are reached through LlmBackends; Gemini Nano runs
+ * on device through the Prompt API.
  */
 
 const GeminiService = {
@@ -21,7 +22,7 @@ const GeminiService = {
 Page Title: ${pageTitle}
 Page URL: ${pageUrl}
 Page Description: ${pageContent.description}
-
+${this.buildMetadataContext(pageContent.metadata)}${isMultimodal ? this.buildScreenshotNote(pageContent.screenshotMode) : ''}
 Extracted Text:
 ${pageContent.text}
 
@@ -29,33 +30,194 @@ Please ${visualInstructions}provide:
 1. A brief summary (2-3 sentences) of what this page is about
 2. 3-5 keywords or phrases that could be used to search for related prediction markets
 
+${this.buildLanguageInstructions(pageContent.language)}
+
+Format your response as JSON with the following structure:
+{
+  "summary": "Brief summary here",
+  "keywords": ["keyword1", "keyword2", "keyword3"],
+  "language": "ISO 639-1 code of the page's language"
+}`;
+  },
+
+  /**
+   * Build map-stage prompt for one chunk of a long document
+   * @param {string} chunk - Chunk text
+   * @param {number} index - Zero-based chunk index
+   * @param {number} total - Total number of chunks
+   * @param {string} pageTitle - Page title
+   * @param {string} pageUrl - Page URL
+   * @returns {string} Prompt text
+   */
+  buildChunkPrompt(chunk, index, total, pageTitle, pageUrl) {
+    return `You are reading part ${index + 1} of ${total} of a long web page. Extract the topics, entities, and events in this part that could be related to prediction markets on Polymarket.
+
+Page Title: ${pageTitle}
+Page URL: ${pageUrl}
+
+Section Text:
+${chunk}
+
+Write keywords and entities in English, translating if the page is in another language.
+
+Format your response as JSON with the following structure:
+{
+  "summary": "One sentence on what this section covers",
+  "keywords": ["up to 5 search keywords or phrases"],
+  "entities": ["people, organizations, assets, or events named in this section"]
+}`;
+  },
+
+  /**
+   * Build reduce-stage prompt combining chunk analyses
+   * @param {Array} chunkResults - Per-chunk analyses in document order
+   * @param {Object} pageContent - Extracted page content
+   * @param {string} pageTitle - Page title
+   * @param {string} pageUrl - Page URL
+   * @returns {string} Prompt text
+   */
+  buildReducePrompt(chunkResults, pageContent, pageTitle, pageUrl) {
+    const notes = chunkResults.map((r, i) => `Section ${i + 1}: ${r.summary}
+Keywords: ${(r.keywords || []).join(', ')}
+Entities: ${(r.entities || []).join(', ')}`).join('\n\n');
+
+    return `Below are notes taken from consecutive sections of one long web page. Combine them into a single analysis for finding related prediction markets on Polymarket.
+
+Page Title: ${pageTitle}
+Page URL: ${pageUrl}
+Page Description: ${pageContent.description}
+${this.buildMetadataContext(pageContent.metadata)}
+${notes}
+
+Please provide:
+1. A brief summary (2-3 sentences) of the whole page
+2. 3-5 keywords or phrases that could be used to search for related prediction markets. Prefer specific, market-worthy events wherever they appear in the document, including near the end.
+
+${this.buildLanguageInstructions(pageContent.language)}
+
 Format your response as JSON with the following structure:
 {
   "summary": "Brief summary here",
-  "keywords": ["keyword1", "keyword2", "keyword3"]
+  "keywords": ["keyword1", "keyword2", "keyword3"],
+  "language": "ISO 639-1 code of the page's language"
 }`;
   },
 
+  /**
+   * Describe what the attached image shows, when it isn't the plain viewport
+   * @param {string|null} screenshotMode - 'viewport' | 'fullPage' | 'region'
+   * @returns {string} Newline-terminated note, or empty string
+   */
+  buildScreenshotNote(screenshotMode) {
+    if (screenshotMode === 'fullPage') {
+      return 'Screenshot: the whole page from top to bottom, stitched into one tall image.\n';
+    }
+    if (screenshotMode === 'region') {
+      return 'Screenshot: a region the user selected on purpose (often a chart or table). Give it priority over the rest of the page.\n';
+    }
+    return '';
+  },
+
+  /**
+   * Build language instructions for analysis prompts
+   * Keywords are always English since Polymarket search is English-only;
+   * the summary follows the user's setting, or the page when unknown.
+   * @param {string|null} pageLanguage - Detected page language
+   * @returns {string} Instruction text
+   */
+  buildLanguageInstructions(pageLanguage) {
+    const summaryLanguage = LanguageService.getSummaryLanguage(pageLanguage);
+    const summaryTarget = summaryLanguage
+      ? LanguageService.languageName(summaryLanguage)
+      : 'the same language as the page';
+
+    return `Write the summary in ${summaryTarget}. Write the keywords in English, translating names and terms if the page is in another language, because Polymarket search only works in English.`;
+  },
+
+  /**
+   * Build prompt lines for structured page metadata
+   * Publish dates and schema.org events help match the right market
+   * (e.g. this year's final vs. last year's).
+   * @param {Object} [metadata] - Metadata from ContentExtractor.extractMetadata
+   * @returns {string} Newline-terminated lines, or empty string if nothing useful
+   */
+  buildMetadataContext(metadata) {
+    if (!metadata) return '';
+
+    const lines = [];
+    if (metadata.type) lines.push(`Content Type: ${metadata.type}`);
+    if (metadata.siteName) lines.push(`Publisher: ${metadata.siteName}`);
+    if (metadata.publishedTime) lines.push(`Published: ${metadata.publishedTime}`);
+    if (metadata.modifiedTime) lines.push(`Updated: ${metadata.modifiedTime}`);
+    if (metadata.author) lines.push(`Author: ${metadata.author}`);
+    if (metadata.section) lines.push(`Section: ${metadata.section}`);
+    if (metadata.keywords?.length) lines.push(`Publisher Keywords: ${metadata.keywords.join(', ')}`);
+
+    for (const event of (metadata.events || [])) {
+      const details = [
+        event.startDate && `starts ${event.startDate}`,
+        event.endDate && `ends ${event.endDate}`,
+        event.location && `at ${event.location}`,
+        event.competitors.length && `between ${event.competitors.join(' vs ')}`
+      ].filter(Boolean).join(', ');
+      lines.push(`${event.type}: ${event.name}${details ? ` (${details})` : ''}`);
+    }
+
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  },
+
   /**
    * Build filter prompt for ranking events
    * @param {Object} analysis - Page analysis result
    * @param {Array} events - Events to filter
+   * @param {number} [descriptionLength] - Characters of resolution criteria per event
    * @returns {string} Prompt text
    */
-  buildFilterPrompt(analysis, events) {
+  buildFilterPrompt(analysis, events, descriptionLength = CONFIG.PROMPT_DESCRIPTION_MAX_LENGTH) {
     return `Given this page analysis:
 Summary: ${analysis.summary}
 Keywords: ${analysis.keywords.join(', ')}
 
-Here are prediction market events found. Remove the ones that are obviously unrelated to the page content, and return the rest ordered by relevance (most relevant first).
+Here are prediction market events found, with their end dates and how they resolve. Remove the ones that are obviously unrelated to the page content, and return the rest ordered by relevance (most relevant first). Prefer markets about the same event and time frame as the page; a market that already ended or that resolves on a different question is less relevant.
 
+Today is ${new Date().toISOString().slice(0, 10)}.
+${events.some(e => e.closed) ? '\nEvents marked resolved are past markets, kept as historical context; keep them only if they are closely related.\n' : ''}
 Events:
-${events.map((e, i) => `${i + 1}. "${e.eventTitle}"`).join('\n')}
+${events.map((e, i) => `${i + 1}. ${this._describeEvent(e, descriptionLength)}`).join('\n')}
 
 Return a JSON array of the relevant event numbers in order of relevance, e.g. [3, 1, 5].
 Return an empty array [] if none are relevant.`;
   },
 
+  /**
+   * One line per event for prompts: title, end date and resolution criteria
+   * @private
+   */
+  _describeEvent(event, descriptionLength) {
+    const endDate = event.endDate || event.markets[0]?.endDate;
+    const description = event.description || event.markets[0]?.description;
+    let line = `"${event.eventTitle}"`;
+    if (event.closed) {
+      const outcome = this._resolvedOutcome(event);
+      line += ` [resolved${outcome ? `: ${outcome}` : ''}]`;
+    }
+    if (endDate) line += ` (ends ${endDate.slice(0, 10)})`;
+    if (description && descriptionLength > 0) {
+      line += ` — ${Utils.truncate(description.replace(/\s+/g, ' '), descriptionLength)}`;
+    }
+    return line;
+  },
+
+  /**
+   * Final outcome of a resolved event: the winning markets, or a single market's outcome
+   * @private
+   */
+  _resolvedOutcome(event) {
+    if (event.markets.length === 1) return event.markets[0].resolvedOutcome || null;
+    const winners = event.markets.filter(m => m.resolvedOutcome === 'Yes').map(m => m.title);
+    return winners.length > 0 ? winners.join(', ') : null;
+  },
+
   /**
    * Analyze page content using appropriate Gemini model
    * Falls back to local keyword extraction if API fails
@@ -63,25 +225,57 @@ Return an empty array [] if none are relevant.`;
    * @param {string} pageTitle - Page title
    * @param {string} pageUrl - Page URL
    * @param {string|null} screenshot - Base64 encoded screenshot
+   * @param {Function} [onChunkProgress] - Callback: (completed, total) for long documents
+   * @param {Function} [onPartial] - Callback: ({summary, keywords}) as the response streams
+   *   in, with the summary so far and the keywords completed so far; streams the response when given
    * @returns {Promise<Object>} Analysis result with summary and keywords
    */
-  async analyze(pageContent, pageTitle, pageUrl, screenshot) {
+  async analyze(pageContent, pageTitle, pageUrl, screenshot, onChunkProgress, onPartial) {
+    let onText = null;
+    if (onPartial) {
+      // Nano's keywords are translated once it's done, so on pages not in English
+      // only its summary streams
+      const keywordsFinal = !AppState.isUsingNano() || !pageContent.language || pageContent.language === 'en';
+      onText = (text) => {
+        const partial = Utils.readPartialAnalysis(text);
+        onPartial(keywordsFinal ? partial : { ...partial, keywords: [] });
+      };
+    }
+
+    let analysis;
     try {
-      if (AppState.isUsingNano()) {
-        return await this._analyzeWithNano(pageContent, pageTitle, pageUrl, screenshot);
+      const usingNano = AppState.isUsingNano();
+      const chunkSize = usingNano ? CONFIG.NANO_CONTENT_MAX_LENGTH : CONFIG.CHUNK_MAX_LENGTH;
+      if (pageContent.text.length > chunkSize) {
+        analysis = await this._analyzeChunked(pageContent, pageTitle, pageUrl, screenshot, chunkSize, onChunkProgress, onText);
+      } else if (usingNano) {
+        analysis = await this._analyzeWithNano(pageContent, pageTitle, pageUrl, screenshot, onText);
+      } else {
+        analysis = await this._analyzeWithApi(pageContent, pageTitle, pageUrl, screenshot, onText);
       }
-      return await this._analyzeWithApi(pageContent, pageTitle, pageUrl, screenshot);
     } catch (error) {
       console.warn('Gemini analysis failed, falling back to local extraction:', error.message);
       // Track that fallback was used
       AppState.fallbackUsed.analysis = true;
       // Fall back to local keyword extraction
-      return Utils.extractKeywordsLocal(pageContent, pageTitle);
+      analysis = Utils.extractKeywordsLocal(pageContent, pageTitle);
     }
+
+    analysis.language = pageContent.language || analysis.language || null;
+
+    // Nano and the local fallback don't reliably produce English keywords
+    if (AppState.isUsingNano() || AppState.fallbackUsed.analysis) {
+      analysis.keywords = await LanguageService.translateToEnglish(analysis.keywords || [], analysis.language);
+    }
+
+    return analysis;
   },
 
   /**
    * Filter and rank events by relevance
+   * Ranks by embedding similarity when the backend can embed, with the model only
+   * breaking ties; otherwise the model filters and ranks. Falls back to the
+   * unfiltered events if both fail.
    * @param {Array} events - Events to filter
    * @param {Object} analysis - Page analysis result
    * @returns {Promise<Array>} Filtered and ranked events
@@ -89,79 +283,216 @@ Return an empty array [] if none are relevant.`;
   async filterEvents(events, analysis) {
     if (events.length === 0) return events;
 
-    if (AppState.isUsingNano()) {
-      return await this._filterWithNano(events, analysis);
+    if (RelevanceRanker.isAvailable()) {
+      try {
+        return await this._rankByEmbeddings(events, analysis);
+      } catch (error) {
+        console.warn('Embedding ranking failed, filtering with the model:', error.message);
+      }
+    }
+
+    try {
+      const indices = await this._generateFilterIndices(events, analysis);
+      return this._applyFilterIndices(events, indices);
+    } catch (error) {
+      console.error('Filter error, returning unfiltered results:', error);
+      AppState.fallbackUsed.filter = true;
+      return Utils.limitDisplayedEvents(events);
     }
-    return await this._filterWithApi(events, analysis);
   },
 
   /**
-   * Analyze using cloud Gemini API
-   * @private
+   * Build the follow-up prompt asking the model to fix a malformed response
+   * @param {string} text - The malformed response
+   * @param {string} problem - What was wrong with it
+   * @param {Object} schema - JSON Schema the response must match
+   * @param {string} [context] - Anything else the answer needs, e.g. valid IDs
+   * @returns {string} Prompt text
    */
-  async _analyzeWithApi(pageContent, pageTitle, pageUrl, screenshot) {
-    const prompt = this.buildAnalysisPrompt(pageContent, pageTitle, pageUrl, Boolean(screenshot));
+  buildRepairPrompt(text, problem, schema, context = '') {
+    return `Your previous response could not be used. ${problem}
+
+Previous response:
+${text || '(empty)'}
+${context ? `\n${context}\n` : ''}
+Give the same answer again as JSON matching this schema, with nothing else:
+${JSON.stringify(schema)}`;
+  },
 
-    // Build parts array with text, and optionally image
-    const parts = [{ text: prompt }];
+  /**
+   * Analyze using the selected LLM backend
+   * @private
+   */
+  async _analyzeWithApi(pageContent, pageTitle, pageUrl, screenshot, onText) {
+    const backend = LlmBackends.active();
+    const request = (withImage) => ({
+      prompt: this.buildAnalysisPrompt(pageContent, pageTitle, pageUrl, withImage),
+      image: withImage ? screenshot : null,
+      schema: CONFIG.RESPONSE_SCHEMAS.analysis,
+      onText
+    });
 
-    if (screenshot) {
-      parts.unshift({
-        inline_data: {
-          mime_type: 'image/jpeg',
-          data: screenshot
+    try {
+      if (screenshot && backend.retryWithoutImage) {
+        try {
+          return await this._generateJson(request(true));
+        } catch (imageError) {
+          console.warn('Request with screenshot failed, retrying text-only:', imageError.message);
         }
-      });
+        return await this._generateJson(request(false));
+      }
+      return await this._generateJson(request(Boolean(screenshot)));
+    } catch (error) {
+      console.error(`${backend.name} error:`, error);
+      throw new Error(`Failed to analyze content with ${backend.name}: ${error.message}`);
     }
+  },
+
+  /**
+   * Generate JSON matching a schema with whichever model is selected
+   * @private
+   * @param {Object} request - As for _generate, with a required `schema`
+   *   (an entry of CONFIG.RESPONSE_SCHEMAS)
+   * @returns {Promise<*>} Parsed and validated response
+   * @throws {Error} If generation fails, or the response is still malformed after a repair
+   */
+  async _generateJson(request) {
+    return await this._parseOrRepair(await this._generate(request), request);
+  },
 
+  /**
+   * Parse a response against the request's schema; if it's malformed,
+   * ask the same model once to repair it
+   * @private
+   * @param {string} text - Model response
+   * @param {Object} request - As for _generateJson; `context` is added to the repair prompt
+   */
+  async _parseOrRepair(text, request) {
     try {
-      const response = await fetch(
-        `${CONFIG.GEMINI_API_BASE}/${AppState.geminiModel}:generateContent?key=${AppState.geminiApiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: parts }],
-            generationConfig: {
-              temperature: CONFIG.GEMINI_TEMPERATURE,
-              maxOutputTokens: CONFIG.GEMINI_MAX_TOKENS
-            }
-          })
-        }
-      );
+      return Utils.parseJsonResponse(text, request.schema);
+    } catch (error) {
+      console.warn('Malformed model response, asking for a repair:', error.message);
+      const repaired = await this._generate({
+        ...request,
+        prompt: this.buildRepairPrompt(text, error.message, request.schema, request.context),
+        image: null
+      });
+      return Utils.parseJsonResponse(repaired, request.schema);
+    }
+  },
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Gemini API error: ${errorData.error?.message || response.statusText}`);
-      }
+  /**
+   * Generate text with whichever model is selected
+   * @private
+   * @param {Object} request
+   * @param {string} request.prompt - Prompt text
+   * @param {string|null} [request.image] - Base64 JPEG to send with the prompt
+   * @param {Object|null} [request.schema] - JSON Schema to constrain the output to
+   * @param {string} [request.task] - 'analysis' | 'filter' | 'agent', which picks the
+   *   backend's model; Nano ignores it
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens] - Output limit; Nano ignores it
+   * @param {string|null} [request.language] - Page language, for the Nano session
+   * @param {Function|null} [request.onText] - Callback: (text) with the response so far;
+   *   streams the response when given
+   * @returns {Promise<string>} Generated text
+   */
+  async _generate({
+    prompt,
+    image = null,
+    schema = null,
+    task = 'analysis',
+    temperature = CONFIG.GEMINI_TEMPERATURE,
+    maxTokens = CONFIG.GEMINI_MAX_TOKENS,
+    language = null,
+    onText = null
+  }) {
+    if (AppState.isUsingNano()) {
+      return await this._promptNano(prompt, language, { image, schema, temperature, onText });
+    }
 
-      const data = await response.json();
-      const generatedText = data.candidates[0].content.parts[0].text;
+    const backend = LlmBackends.active();
+    return await backend.generate({
+      prompt,
+      image,
+      schema,
+      model: backend.model(task),
+      temperature,
+      maxTokens: Math.min(maxTokens, backend.maxOutputTokens),
+      onText
+    });
+  },
 
-      return Utils.parseAnalysisResponse(generatedText, pageTitle);
+  /**
+   * Map-reduce analysis for documents longer than one prompt
+   * Each chunk is analyzed separately (in parallel on the cloud API,
+   * sequentially on Nano), then the model consolidates the notes. Only the
+   * consolidation streams.
+   * @private
+   */
+  async _analyzeChunked(pageContent, pageTitle, pageUrl, screenshot, chunkSize, onChunkProgress, onText) {
+    const usingNano = AppState.isUsingNano();
+    const chunks = Utils.chunkText(pageContent.text, chunkSize, usingNano ? CONFIG.NANO_MAX_CHUNKS : CONFIG.MAX_CHUNKS);
+    const concurrency = usingNano ? 1 : CONFIG.CHUNK_CONCURRENCY;
+    const results = new Array(chunks.length);
+    let completed = 0;
+
+    if (onChunkProgress) onChunkProgress(0, chunks.length);
+
+    // Map: extract keywords and entities per chunk
+    for (let start = 0; start < chunks.length; start += concurrency) {
+      await Promise.all(chunks.slice(start, start + concurrency).map(async (chunk, offset) => {
+        const index = start + offset;
+        try {
+          results[index] = await this._generateJson({
+            prompt: this.buildChunkPrompt(chunk, index, chunks.length, pageTitle, pageUrl),
+            // The screenshot is sent once, with the first chunk, rather than with every section
+            image: index === 0 ? screenshot : null,
+            schema: CONFIG.RESPONSE_SCHEMAS.chunk,
+            language: pageContent.language
+          });
+        } catch (error) {
+          console.warn(`Chunk ${index + 1}/${chunks.length} analysis failed:`, error.message);
+        }
+        completed++;
+        if (onChunkProgress) onChunkProgress(completed, chunks.length);
+      }));
+    }
+
+    const succeeded = results.filter(Boolean);
+    if (succeeded.length === 0) {
+      throw new Error('Failed to analyze any part of the document');
+    }
+
+    // Reduce: let the model consolidate, fall back to a local merge
+    const merged = Utils.mergeChunkAnalyses(succeeded);
+    try {
+      const reduced = await this._generateJson({
+        prompt: this.buildReducePrompt(succeeded, pageContent, pageTitle, pageUrl),
+        schema: CONFIG.RESPONSE_SCHEMAS.analysis,
+        language: pageContent.language,
+        onText
+      });
+      return { ...reduced, entities: merged.entities };
     } catch (error) {
-      console.error('Gemini API error:', error);
-      throw new Error(`Failed to analyze content with Gemini: ${error.message}`);
+      console.warn('Reduce step failed, using merged chunk keywords:', error.message);
     }
+    return merged;
   },
 
   /**
    * Analyze using on-device Gemini Nano
    * @private
    */
-  async _analyzeWithNano(pageContent, pageTitle, pageUrl, screenshot) {
+  async _analyzeWithNano(pageContent, pageTitle, pageUrl, screenshot, onText) {
     try {
       // Check if multimodal is available when screenshot provided
       let useMultimodal = false;
       if (screenshot) {
         try {
-          const multimodalAvailability = await LanguageModel.availability({
-            expectedInputs: [
-              { type: 'text', languages: ['en'] },
-              { type: 'image' }
-            ],
-            expectedOutputs: [{ type: 'text', languages: ['en'] }]
-          });
+          const multimodalAvailability = await LanguageModel.availability(
+            this._nanoSessionOptions(CONFIG.GEMINI_TEMPERATURE, pageContent.language, true)
+          );
           useMultimodal = multimodalAvailability !== 'unavailable';
           if (!useMultimodal) {
             console.log('Gemini Nano multimodal not available, using text-only mode');
@@ -177,19 +508,22 @@ Return an empty array [] if none are relevant.`;
         text: pageContent.text.substring(0, CONFIG.NANO_CONTENT_MAX_LENGTH)
       };
 
-      let result;
+      const request = (withImage) => ({
+        prompt: this.buildAnalysisPrompt(truncatedContent, pageTitle, pageUrl, withImage),
+        image: withImage ? screenshot : null,
+        schema: CONFIG.RESPONSE_SCHEMAS.analysis,
+        language: pageContent.language,
+        onText
+      });
+
       if (useMultimodal) {
         try {
-          result = await this._runNanoMultimodal(truncatedContent, pageTitle, pageUrl, screenshot);
+          return await this._generateJson(request(true));
         } catch (multimodalError) {
           console.warn('Multimodal session failed, falling back to text-only:', multimodalError.message);
-          result = await this._runNanoTextOnly(truncatedContent, pageTitle, pageUrl);
         }
-      } else {
-        result = await this._runNanoTextOnly(truncatedContent, pageTitle, pageUrl);
       }
-
-      return Utils.parseAnalysisResponse(result, pageTitle);
+      return await this._generateJson(request(false));
     } catch (error) {
       console.error('Gemini Nano error:', error);
       throw new Error(`Failed to analyze content with Gemini Nano: ${error.message}`);
@@ -197,145 +531,171 @@ Return an empty array [] if none are relevant.`;
   },
 
   /**
-   * Run Nano in text-only mode
+   * Run a single prompt in a fresh Nano session
    * @private
+   * @param {string} prompt - Prompt text
+   * @param {string|null} pageLanguage - Page language, for the session's expected languages
+   * @param {Object} [options]
+   * @param {string|null} [options.image] - Base64 JPEG to send with the prompt
+   * @param {Object|null} [options.schema] - JSON Schema to constrain the output to
+   * @param {number} [options.temperature]
+   * @param {Function|null} [options.onText] - Callback: (text) with the response so far;
+   *   streams the response when given
    */
-  async _runNanoTextOnly(pageContent, pageTitle, pageUrl) {
-    const session = await LanguageModel.create({
-      temperature: CONFIG.GEMINI_TEMPERATURE,
-      topK: CONFIG.NANO_TOP_K,
-      expectedInputs: [{ type: 'text', languages: ['en'] }],
-      expectedOutputs: [{ type: 'text', languages: ['en'] }]
-    });
-    const prompt = this.buildAnalysisPrompt(pageContent, pageTitle, pageUrl, false);
-    const result = await session.prompt(prompt);
-    session.destroy();
-    return result;
+  async _promptNano(prompt, pageLanguage, {
+    image = null,
+    schema = null,
+    temperature = CONFIG.GEMINI_TEMPERATURE,
+    onText = null
+  } = {}) {
+    const session = await LanguageModel.create(this._nanoSessionOptions(temperature, pageLanguage, Boolean(image)));
+    try {
+      const input = image
+        ? [{
+          role: 'user',
+          content: [
+            { type: 'text', value: prompt },
+            { type: 'image', value: Utils.base64ToBlob(image) }
+          ]
+        }]
+        : prompt;
+      const options = schema ? { responseConstraint: schema } : undefined;
+      if (!onText) {
+        return await session.prompt(input, options);
+      }
+
+      // Each chunk is the next piece of the response
+      let text = '';
+      for await (const chunk of session.promptStreaming(input, options)) {
+        text += chunk;
+        onText(text);
+      }
+      return text;
+    } finally {
+      session.destroy();
+    }
   },
 
   /**
-   * Run Nano in multimodal mode with screenshot
+   * Nano session options declaring the languages in play
+   * Inputs may be in the page language; outputs are English keywords plus
+   * the summary language. Unsupported languages are left out.
    * @private
    */
-  async _runNanoMultimodal(pageContent, pageTitle, pageUrl, screenshot) {
-    const session = await LanguageModel.create({
-      temperature: CONFIG.GEMINI_TEMPERATURE,
-      topK: CONFIG.NANO_TOP_K,
-      expectedInputs: [
-        { type: 'text', languages: ['en'] },
-        { type: 'image' }
-      ],
-      expectedOutputs: [{ type: 'text', languages: ['en'] }]
-    });
-
-    const imageBlob = Utils.base64ToBlob(screenshot);
-    const prompt = this.buildAnalysisPrompt(pageContent, pageTitle, pageUrl, true);
-
-    const result = await session.prompt([{
-      role: 'user',
-      content: [
-        { type: 'text', value: prompt },
-        { type: 'image', value: imageBlob }
-      ]
-    }]);
+  _nanoSessionOptions(temperature, pageLanguage, withImage = false) {
+    const summaryLanguage = LanguageService.getSummaryLanguage(pageLanguage);
+    const expectedInputs = [{ type: 'text', languages: LanguageService.nanoLanguages(pageLanguage) }];
+    if (withImage) {
+      expectedInputs.push({ type: 'image' });
+    }
 
-    session.destroy();
-    return result;
+    return {
+      temperature,
+      topK: CONFIG.NANO_TOP_K,
+      expectedInputs,
+      expectedOutputs: [{ type: 'text', languages: LanguageService.nanoLanguages(summaryLanguage) }]
+    };
   },
 
   /**
-   * Filter events using cloud API
+   * Ask the model for the relevant events' 1-based numbers, most relevant first
    * @private
    */
-  async _filterWithApi(events, analysis) {
-    const prompt = this.buildFilterPrompt(analysis, events);
-
-    try {
-      const response = await fetch(
-        `${CONFIG.GEMINI_API_BASE}/${CONFIG.FILTER_MODEL}:generateContent?key=${AppState.geminiApiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: {
-              temperature: CONFIG.FILTER_TEMPERATURE,
-              maxOutputTokens: CONFIG.FILTER_MAX_TOKENS
-            }
-          })
-        }
-      );
-
-      if (!response.ok) {
-        console.error('Filter API error, returning unfiltered results');
-        AppState.fallbackUsed.filter = true;
-        return events.slice(0, CONFIG.MAX_MARKETS_TO_DISPLAY);
-      }
-
-      const data = await response.json();
-      const text = data.candidates[0].content.parts[0].text;
-
-      return this._applyFilterIndices(events, text);
-    } catch (error) {
-      console.error('Filter error, returning unfiltered results:', error);
-      AppState.fallbackUsed.filter = true;
-      return events.slice(0, CONFIG.MAX_MARKETS_TO_DISPLAY);
-    }
+  async _generateFilterIndices(events, analysis) {
+    // Nano's context is small, so keep resolution criteria short
+    const descriptionLength = AppState.isUsingNano()
+      ? CONFIG.NANO_PROMPT_DESCRIPTION_MAX_LENGTH
+      : CONFIG.PROMPT_DESCRIPTION_MAX_LENGTH;
+
+    return await this._generateJson({
+      prompt: this.buildFilterPrompt(analysis, events, descriptionLength),
+      schema: CONFIG.RESPONSE_SCHEMAS.filter,
+      task: 'filter',
+      temperature: CONFIG.FILTER_TEMPERATURE,
+      maxTokens: CONFIG.FILTER_MAX_TOKENS,
+      // The summary in the prompt may be in the page's language
+      language: analysis.language
+    });
   },
 
   /**
-   * Filter events using on-device Nano
+   * Keep events scoring at least the relevance threshold, highest first, with
+   * each one's score as `relevance`
    * @private
    */
-  async _filterWithNano(events, analysis) {
-    try {
-      const session = await LanguageModel.create({
-        temperature: CONFIG.FILTER_TEMPERATURE,
-        topK: CONFIG.NANO_TOP_K,
-        expectedInputs: [{ type: 'text', languages: ['en'] }],
-        expectedOutputs: [{ type: 'text', languages: ['en'] }]
-      });
+  async _rankByEmbeddings(events, analysis) {
+    const threshold = RelevanceRanker.threshold();
+    const ranked = (await RelevanceRanker.score(events, analysis))
+      .filter(entry => entry.score >= threshold)
+      .sort((a, b) => b.score - a.score);
+
+    const ordered = await this._breakTies(ranked, analysis);
+    return Utils.limitDisplayedEvents(ordered.map(({ event, score }) => ({ ...event, relevance: score })));
+  },
 
-      const prompt = this.buildFilterPrompt(analysis, events);
-      const result = await session.prompt(prompt);
-      session.destroy();
+  /**
+   * Order tied scores by the model's ranking, in one request for every tie that
+   * could be displayed. Keeps the score order if the model fails.
+   * @private
+   */
+  async _breakTies(ranked, analysis) {
+    const displayable = CONFIG.MAX_MARKETS_TO_DISPLAY + CONFIG.MAX_RESOLVED_TO_DISPLAY;
+    const groups = RelevanceRanker.tieGroups(ranked);
+    let start = 0;
+    const ties = groups.filter(group => {
+      const displayed = start < displayable;
+      start += group.length;
+      return displayed && group.length > 1;
+    });
+    if (ties.length === 0) return ranked;
 
-      return this._applyFilterIndices(events, result);
+    const tiedEvents = ties.flat().map(entry => entry.event);
+    let order;
+    try {
+      const indices = await this._generateFilterIndices(tiedEvents, analysis);
+      order = new Map(indices.map((index, position) => [tiedEvents[index - 1], position]));
     } catch (error) {
-      console.error('Nano filter error, returning unfiltered results:', error);
-      AppState.fallbackUsed.filter = true;
-      return events.slice(0, CONFIG.MAX_MARKETS_TO_DISPLAY);
+      console.warn('Tie-break failed, keeping the embedding order:', error.message);
+      return ranked;
     }
+
+    // Events the model left out keep their score order after the ones it ranked
+    const position = (entry) => order.get(entry.event) ?? Infinity;
+    return groups.flatMap(group => (ties.includes(group)
+      ? [...group].sort((a, b) => position(a) - position(b))
+      : group));
   },
 
   /**
-   * Apply filter indices to events array
+   * Apply 1-based filter indices to events array
    * @private
    */
-  _applyFilterIndices(events, responseText) {
-    const indices = Utils.parseFilterIndices(responseText);
-    if (!indices) {
-      return events.slice(0, CONFIG.MAX_MARKETS_TO_DISPLAY);
-    }
-
-    return indices
-      .filter(i => i >= 1 && i <= events.length)
-      .map(i => events[i - 1])
-      .slice(0, CONFIG.MAX_MARKETS_TO_DISPLAY);
+  _applyFilterIndices(events, indices) {
+    return Utils.limitDisplayedEvents(
+      indices.filter(i => i >= 1 && i <= events.length).map(i => events[i - 1])
+    );
   },
 
   /**
-   * Run agentic ReAct loop with Gemini function calling
+   * Run agentic ReAct loop with the selected backend's function calling
    * @param {Object} pageContent - Extracted page content
    * @param {string} pageTitle - Page title
    * @param {string} pageUrl - Page URL
    * @param {string|null} screenshot - Base64 encoded screenshot
-   * @param {Function} onProgress - Callback: (type, detail) where type is 'analyze'|'search'|'thought'|'search_result'
+   * @param {Function} onProgress - Callback: (type, detail) where type is
+   *   'analyze'|'search'|'thought'|'search_result'|'lookup'
    * @returns {Promise<{analysis: Object, markets: Array}>}
    */
   async runAgent(pageContent, pageTitle, pageUrl, screenshot, onProgress) {
-    const eventMap = new Map();
-    let searchCount = 0;
+    const backend = LlmBackends.active();
+    // Events found so far, and how much of each tool's budget is used
+    const agent = { eventMap: new Map(), searchCount: 0, eventSearchCount: 0, detailCount: 0, historyCount: 0 };
+    const tools = {
+      search_markets: (args) => this._searchMarketsTool(args, agent, onProgress),
+      search_events: (args) => this._searchEventsTool(args, agent, onProgress),
+      get_market_details: (args) => this._marketDetailsTool(args, agent, onProgress),
+      get_price_history: (args) => this._priceHistoryTool(args, agent, onProgress)
+    };
 
     // Build initial user message with page content
     const textContent = `Analyze this web page and find related prediction markets.
@@ -343,148 +703,335 @@ Return an empty array [] if none are relevant.`;
 Page Title: ${pageTitle}
 Page URL: ${pageUrl}
 Page Description: ${pageContent.description}
-
+${this.buildMetadataContext(pageContent.metadata)}${screenshot ? this.buildScreenshotNote(pageContent.screenshotMode) : ''}
 Extracted Text:
-${pageContent.text}`;
+${pageContent.text.substring(0, CONFIG.AGENT_CONTENT_MAX_LENGTH)}
 
-    const userParts = [{ text: textContent }];
-    if (screenshot) {
-      userParts.unshift({
-        inline_data: { mime_type: 'image/jpeg', data: screenshot }
-      });
-    }
+${this.buildLanguageInstructions(pageContent.language)} Search queries must be in English too.`;
 
-    const contents = [{ role: 'user', parts: userParts }];
+    const messages = [{ role: 'user', text: textContent, image: screenshot }];
 
     for (let i = 0; i < CONFIG.AGENT_MAX_ITERATIONS; i++) {
       onProgress('analyze');
 
-      const response = await fetch(
-        `${CONFIG.GEMINI_API_BASE}/${AppState.geminiModel}:generateContent?key=${AppState.geminiApiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            system_instruction: { parts: [{ text: CONFIG.AGENT_SYSTEM_PROMPT }] },
-            contents: contents,
-            tools: [CONFIG.AGENT_TOOL_DECLARATION],
-            generationConfig: {
-              temperature: CONFIG.AGENT_TEMPERATURE,
-              maxOutputTokens: CONFIG.AGENT_MAX_TOKENS
-            }
-          })
+      const reply = await backend.chat({
+        system: CONFIG.AGENT_SYSTEM_PROMPT,
+        messages,
+        tools: CONFIG.AGENT_TOOLS,
+        model: backend.model('agent'),
+        temperature: CONFIG.AGENT_TEMPERATURE,
+        maxTokens: Math.min(CONFIG.AGENT_MAX_TOKENS, backend.maxOutputTokens)
+      });
+
+      // Add model response to conversation history
+      messages.push(reply.message);
+
+      if (reply.toolCalls.length === 0) {
+        // No function call — this is the final text answer
+        if (reply.text) {
+          onProgress('thought', reply.text);
         }
-      );
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Gemini API error: ${errorData.error?.message || response.statusText}`);
+        // Tool calls and JSON mode can't be combined in one request, so the final
+        // answer is checked here and, if malformed, repaired by a JSON-mode follow-up
+        const parsed = await this._parseOrRepair(reply.text, {
+          schema: CONFIG.RESPONSE_SCHEMAS.agent,
+          task: 'agent',
+          temperature: CONFIG.AGENT_TEMPERATURE,
+          maxTokens: CONFIG.AGENT_MAX_TOKENS,
+          context: `Events found by your searches (eventId: title):\n${
+            [...agent.eventMap].map(([id, event]) => `${id}: ${event.eventTitle}`).join('\n')}`
+        });
+        let markets;
+        if (parsed.relevant_event_ids.length > 0) {
+          markets = Utils.limitDisplayedEvents(
+            parsed.relevant_event_ids.map(id => agent.eventMap.get(id)).filter(Boolean)
+          );
+        } else {
+          markets = Utils.limitDisplayedEvents(Array.from(agent.eventMap.values()));
+        }
+        return { analysis: parsed, markets };
       }
 
-      const data = await response.json();
-      const candidate = data.candidates[0];
-      const responseParts = candidate.content.parts;
+      // If there was a thought text alongside a function call, log it
+      if (reply.text) {
+        onProgress('thought', reply.text);
+      }
 
-      // Add model response to conversation history
-      contents.push({ role: 'model', parts: responseParts });
+      // Every call needs an answer before the next turn
+      for (const toolCall of reply.toolCalls) {
+        const tool = tools[toolCall.name];
+        const result = tool ? await tool(toolCall.args) : { error: `Unknown tool: ${toolCall.name}` };
+        messages.push({ role: 'tool', toolCallId: toolCall.id, name: toolCall.name, result });
+      }
+    }
 
-      // Check for function calls
-      const functionCall = responseParts.find(p => p.functionCall);
+    // Max iterations reached — return whatever we have
+    throw new Error('Agent reached maximum iterations without completing analysis.');
+  },
 
-      if (functionCall) {
-        const args = functionCall.functionCall.args;
+  /**
+   * Run the agent's search_markets tool within the search budget
+   * @private
+   * @param {Object} args - Tool call arguments
+   * @param {Object} agent - Events found and tool budgets used so far (see runAgent)
+   * @param {Function} onProgress - As for runAgent
+   * @returns {Promise<Object>} Tool result for the model
+   */
+  async _searchMarketsTool(args, agent, onProgress) {
+    // Support both new `queries` array and legacy `query` string
+    let queries = args.queries;
+    if (!queries) {
+      queries = [args.query || ''];
+    }
 
-        // Support both new `queries` array and legacy `query` string
-        let queries = args.queries;
-        if (!queries) {
-          queries = [args.query || ''];
-        }
+    // Enforce per-call budget against AGENT_MAX_SEARCHES
+    const remainingSearches = CONFIG.AGENT_MAX_SEARCHES - agent.searchCount;
+    const maxPerCall = Math.min(remainingSearches, CONFIG.MAX_KEYWORDS_TO_SEARCH);
+    const queriesToExecute = queries.slice(0, maxPerCall);
+    const queriesSkipped = queries.length - queriesToExecute.length;
 
-        // Enforce per-call budget against AGENT_MAX_SEARCHES
-        const remainingSearches = CONFIG.AGENT_MAX_SEARCHES - searchCount;
-        const maxPerCall = Math.min(remainingSearches, CONFIG.MAX_KEYWORDS_TO_SEARCH);
-        const queriesToExecute = queries.slice(0, maxPerCall);
-        const queriesSkipped = queries.length - queriesToExecute.length;
+    if (queriesToExecute.length === 0) {
+      return { error: 'Maximum search limit reached. Please provide your final analysis now.' };
+    }
 
-        let functionResponseData;
-        if (queriesToExecute.length === 0) {
-          functionResponseData = { error: 'Maximum search limit reached. Please provide your final analysis now.' };
-        } else {
-          // Emit progress for each query in the batch
-          for (const q of queriesToExecute) {
-            onProgress('search', q);
-          }
+    // Emit progress for each query in the batch
+    for (const q of queriesToExecute) {
+      onProgress('search', q);
+    }
 
-          searchCount += queriesToExecute.length;
-          const events = await PolymarketService.search(queriesToExecute);
+    agent.searchCount += queriesToExecute.length;
 
-          // Accumulate events
-          for (const event of events) {
-            if (!eventMap.has(event.eventId)) {
-              eventMap.set(event.eventId, event);
-            }
-          }
+    let searchOutcome;
+    try {
+      searchOutcome = await MarketProviders.search(queriesToExecute, { limit: queriesToExecute.length });
+    } catch (error) {
+      // Every search in the batch failed; let the agent decide whether to retry
+      searchOutcome = { events: [], failed: queriesToExecute.length, total: queriesToExecute.length };
+    }
+    const events = searchOutcome.events;
+
+    this._rememberEvents(agent, events);
+
+    onProgress('search_result', { queries: queriesToExecute, count: events.length, failed: searchOutcome.failed });
+    return {
+      results: events.map(event => this._agentEventSummary(event)),
+      count: events.length,
+      queries_executed: queriesToExecute.length,
+      queries_failed: searchOutcome.failed,
+      queries_skipped: queriesSkipped
+    };
+  },
 
-          // Build concise summary for model context
-          const summary = events.map(e => ({
-            eventId: e.eventId,
-            title: e.eventTitle,
-            markets: e.markets.map(m => ({
-              title: m.title,
-              probability: m.probability
-            }))
-          }));
-
-          functionResponseData = {
-            results: summary,
-            count: events.length,
-            queries_executed: queriesToExecute.length,
-            queries_skipped: queriesSkipped
-          };
-          onProgress('search_result', { queries: queriesToExecute, count: events.length });
-        }
+  /**
+   * Run the agent's search_events tool (filtered browsing) within its budget
+   * @private
+   */
+  async _searchEventsTool(args, agent, onProgress) {
+    if (agent.eventSearchCount >= CONFIG.AGENT_MAX_EVENT_SEARCHES) {
+      return { error: 'Maximum event search limit reached. Use the events found so far.' };
+    }
+    agent.eventSearchCount++;
+
+    const filters = {
+      tag: args.tag || '',
+      status: args.status === 'closed' ? 'closed' : 'active',
+      endDateMin: args.end_date_min || '',
+      endDateMax: args.end_date_max || '',
+      minVolume: Number(args.min_volume) || 0
+    };
+    const label = [
+      args.query,
+      filters.tag,
+      filters.endDateMin && `after ${filters.endDateMin}`,
+      filters.endDateMax && `before ${filters.endDateMax}`,
+      filters.minVolume && `volume ≥ ${filters.minVolume}`
+    ].filter(Boolean).join(', ') || 'all events';
+    onProgress('search', label);
+
+    let events;
+    try {
+      events = await MarketProviders.searchEvents(args.query || '', filters);
+    } catch (error) {
+      onProgress('search_result', { queries: [label], count: 0, failed: 1 });
+      return { error: `Search failed: ${error.message}` };
+    }
+    this._rememberEvents(agent, events);
+
+    onProgress('search_result', { queries: [label], count: events.length, failed: 0 });
+    return {
+      results: events.map(event => this._agentEventSummary(event)),
+      count: events.length,
+      searches_left: CONFIG.AGENT_MAX_EVENT_SEARCHES - agent.eventSearchCount
+    };
+  },
 
-        // Add function response to conversation
-        contents.push({
-          role: 'user',
-          parts: [{
-            functionResponse: {
-              name: 'search_polymarket',
-              response: functionResponseData
-            }
-          }]
-        });
-      } else {
-        // No function call — this is the final text answer
-        const textPart = responseParts.find(p => p.text);
-        const text = textPart ? textPart.text : '';
+  /**
+   * Run the agent's get_market_details tool within its budget of events
+   * @private
+   */
+  async _marketDetailsTool(args, agent, onProgress) {
+    const ids = [...new Set(args.event_ids || [])];
+    const remaining = CONFIG.AGENT_MAX_DETAIL_LOOKUPS - agent.detailCount;
+    if (remaining <= 0) {
+      return { error: 'Maximum detail lookups reached. Please provide your final analysis now.' };
+    }
 
-        if (text) {
-          onProgress('thought', text);
-        }
+    const idsToLookUp = ids.slice(0, remaining);
+    const events = idsToLookUp.map(id => agent.eventMap.get(id)).filter(Boolean);
+    agent.detailCount += events.length;
+    onProgress('lookup', `Details: ${events.map(event => `"${event.eventTitle}"`).join(', ') || 'no known events'}`);
 
-        const parsed = Utils.parseAnalysisResponse(text, pageTitle);
-        let markets;
-        if (parsed.relevant_event_ids && parsed.relevant_event_ids.length > 0) {
-          markets = parsed.relevant_event_ids
-            .map(id => eventMap.get(id))
-            .filter(Boolean)
-            .slice(0, CONFIG.MAX_MARKETS_TO_DISPLAY);
-        } else {
-          markets = Array.from(eventMap.values()).slice(0, CONFIG.MAX_MARKETS_TO_DISPLAY);
-        }
-        return { analysis: parsed, markets };
-      }
+    let details = new Map();
+    try {
+      details = await MarketProviders.fetchMarketDetails(events);
+    } catch (error) {
+      // Order books are extras; the event fields are still worth returning
+      console.warn('Agent market details lookup failed:', error.message);
+    }
 
-      // If there was a thought text alongside a function call, log it
-      const thoughtPart = responseParts.find(p => p.text && p !== responseParts.find(pp => pp.functionCall));
-      if (thoughtPart) {
-        onProgress('thought', thoughtPart.text);
+    return {
+      events: events.map(event => this._agentEventDetails(event, details)),
+      unknown_event_ids: idsToLookUp.filter(id => !agent.eventMap.has(id)),
+      skipped_event_ids: ids.slice(remaining),
+      lookups_left: CONFIG.AGENT_MAX_DETAIL_LOOKUPS - agent.detailCount
+    };
+  },
+
+  /**
+   * Run the agent's get_price_history tool within its budget
+   * @private
+   */
+  async _priceHistoryTool(args, agent, onProgress) {
+    if (agent.historyCount >= CONFIG.AGENT_MAX_HISTORY_LOOKUPS) {
+      return { error: 'Maximum price history lookups reached. Please provide your final analysis now.' };
+    }
+    const event = agent.eventMap.get(args.event_id);
+    if (!event) {
+      return { error: `Unknown eventId: ${args.event_id}. Use an eventId from search results.` };
+    }
+    agent.historyCount++;
+
+    const range = CONFIG.PRICE_HISTORY_RANGES[args.range] ? args.range : CONFIG.DEFAULT_PRICE_RANGE;
+    onProgress('lookup', `Price history (${CONFIG.PRICE_HISTORY_RANGES[range].label}): "${event.eventTitle}"`);
+
+    const markets = [...event.markets]
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, CONFIG.AGENT_HISTORY_MAX_MARKETS);
+    const histories = await Promise.all(markets.map(market =>
+      MarketProviders.fetchPriceHistory(event.provider, market.tokenId, range).catch(() => null)
+    ));
+
+    return {
+      eventId: args.event_id,
+      range,
+      markets: markets.map((market, i) => ({
+        title: market.title,
+        probability: market.probability,
+        history: this._summarizeHistory(histories[i])
+      })),
+      lookups_left: CONFIG.AGENT_MAX_HISTORY_LOOKUPS - agent.historyCount
+    };
+  },
+
+  /**
+   * Add search results to the events the agent can refer to
+   * @private
+   */
+  _rememberEvents(agent, events) {
+    for (const event of events) {
+      const key = MarketProviders.eventKey(event);
+      if (!agent.eventMap.has(key)) {
+        agent.eventMap.set(key, event);
       }
     }
+  },
 
-    // Max iterations reached — return whatever we have
-    throw new Error('Agent reached maximum iterations without completing analysis.');
+  /**
+   * Concise event summary for the agent's search results
+   * @private
+   */
+  _agentEventSummary(event) {
+    return {
+      eventId: MarketProviders.eventKey(event),
+      venue: MarketProviders.get(event.provider).name,
+      title: event.eventTitle,
+      endDate: (event.endDate || event.markets[0]?.endDate)?.slice(0, 10) || null,
+      resolves: Utils.truncate((event.description || event.markets[0]?.description || '').replace(/\s+/g, ' '), CONFIG.PROMPT_DESCRIPTION_MAX_LENGTH) || null,
+      ...(event.closed && { resolved: true }),
+      markets: event.markets.map(m => ({
+        title: m.title,
+        probability: m.probability,
+        // Closed markets: last traded probability and final outcome
+        ...(m.closed && { resolvedOutcome: m.resolvedOutcome || 'pending' }),
+        // `probability` is only meaningful on its own for Yes/No markets
+        ...(m.yesNo === false && { outcomes: m.outcomes.map(o => `${o.label}: ${o.probability}%`) })
+      }))
+    };
+  },
+
+  /**
+   * Full event details for get_market_details: rules, dates, volume and liquidity
+   * @private
+   * @param {Object} event - Normalized event
+   * @param {Map<string, Object>} details - From MarketProviders.fetchMarketDetails
+   */
+  _agentEventDetails(event, details) {
+    const provider = MarketProviders.get(event.provider);
+    return {
+      eventId: MarketProviders.eventKey(event),
+      venue: provider.name,
+      title: event.eventTitle,
+      endDate: event.endDate || event.markets[0]?.endDate || null,
+      rules: Utils.truncate((event.description || event.markets[0]?.description || '').replace(/\s+/g, ' '), CONFIG.AGENT_DETAILS_DESCRIPTION_MAX_LENGTH) || null,
+      resolutionSource: event.resolutionSource || event.markets[0]?.resolutionSource || null,
+      volume: event.eventVolume ?? null,
+      volume24hr: event.volume24hr ?? null,
+      liquidity: event.liquidity ?? null,
+      ...(event.closed && { resolved: true }),
+      markets: event.markets.map(market => {
+        const orderBook = details.get(`${provider.id}:${market.tokenId}`)?.orderBook;
+        return {
+          title: market.title,
+          probability: market.probability,
+          endDate: market.endDate || null,
+          volume24hr: market.volume24hr ?? null,
+          liquidity: market.liquidity ?? null,
+          ...(market.illiquid && { illiquid: true }),
+          ...(market.stale && { noTradesToday: true }),
+          ...(market.closed && { resolvedOutcome: market.resolvedOutcome || 'pending' }),
+          ...(orderBook && {
+            spreadCents: orderBook.spread === null ? null : Math.round(orderBook.spread * 100),
+            bookDepth: Math.round(orderBook.bidDepth + orderBook.askDepth),
+            bookConfidence: orderBook.confidence
+          })
+        };
+      })
+    };
+  },
+
+  /**
+   * Price history as a few evenly spaced points (probability in %), with the low and high
+   * @private
+   */
+  _summarizeHistory(history) {
+    if (!history?.length) return null;
+
+    const point = (p) => ({
+      time: new Date(p.t * 1000).toISOString().slice(0, 16),
+      probability: Math.round(p.p * 1000) / 10
+    });
+    const count = Math.min(history.length, CONFIG.AGENT_HISTORY_POINTS);
+    const points = Array.from({ length: count }, (_, k) =>
+      point(history[count === 1 ? 0 : Math.round(k * (history.length - 1) / (count - 1))])
+    );
+
+    const prices = history.map(p => p.p);
+    return {
+      points,
+      low: Math.round(Math.min(...prices) * 1000) / 10,
+      high: Math.round(Math.max(...prices) * 1000) / 10
+    };
   }
 };
 
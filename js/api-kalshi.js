@@ -0,0 +1,375 @@
+/**
+ * Kalshi API service layer (market provider, see MarketProviders)
+ * Kalshi's public API has no text search, so events are loaded page by page
+ * into a catalog (kept for CACHE_TTL_MS) and matched against keywords locally.
+ * All requests go through RequestScheduler for throttling and retries.
+ */
+
+const KalshiService = {
+  id: 'kalshi',
+  name: 'Kalshi',
+  currencySymbol: '$',
+
+  // Search panel category -> Kalshi event categories
+  CATEGORIES: Object.freeze({
+    politics: ['Politics'],
+    elections: ['Elections'],
+    geopolitics: ['World'],
+    economy: ['Economics', 'Financials'],
+    business: ['Companies', 'Financials'],
+    crypto: ['Crypto'],
+    tech: ['Science and Technology'],
+    sports: ['Sports'],
+    'pop-culture': ['Entertainment'],
+    science: ['Science and Technology', 'Climate and Weather', 'Health']
+  }),
+
+  // Event status -> { request: Promise<Array<{event, words}>>, fetchedAt }
+  _catalogs: new Map(),
+
+  /**
+   * Search open Kalshi events by a single keyword
+   * @param {string} keyword - Search keyword
+   * @param {Object} [options]
+   * @param {boolean} [options.includeResolved] - Also return settled events
+   * @returns {Promise<Array>} Array of events with markets
+   * @throws {Error} If loading a catalog fails
+   */
+  async searchByKeyword(keyword, { includeResolved = false } = {}) {
+    const open = this._transformEvents(
+      await this._topMatches('open', keyword, CONFIG.PROVIDER_RESULTS_PER_KEYWORD)
+    );
+    if (!includeResolved) return open;
+
+    const settled = this._transformEvents(
+      await this._topMatches('settled', keyword, CONFIG.RESOLVED_RESULTS_PER_KEYWORD),
+      { includeClosed: true }
+    );
+    return [...open, ...settled];
+  },
+
+  /**
+   * Search events with faceted filters (manual search panel)
+   * @param {string} query - Free-text query; empty to browse by filters alone
+   * @param {Object} [filters] - See PolymarketService.searchEvents
+   * @returns {Promise<Array>} Normalized events
+   */
+  async searchEvents(query, filters = {}) {
+    const closed = filters.status === 'closed';
+    let entries = await this._catalog(closed ? 'settled' : 'open');
+    if (query.trim()) entries = this._match(entries, query);
+
+    const events = entries
+      .map(entry => entry.event)
+      .filter(event => this._passesFilters(event, filters));
+
+    if (filters.sort === 'endDate') {
+      // Soonest end first for open events; most recently ended for closed ones
+      const direction = closed ? -1 : 1;
+      events.sort((a, b) => direction * (this._endDate(a) || '').localeCompare(this._endDate(b) || ''));
+    } else {
+      events.sort((a, b) => this._eventVolume(b) - this._eventVolume(a));
+    }
+
+    return this._transformEvents(events.slice(0, CONFIG.MARKET_SEARCH_LIMIT), { includeClosed: closed });
+  },
+
+  /**
+   * Fetch price history for a market from its candlesticks
+   * Kalshi candles come in one-hour or one-day periods here, whichever
+   * is closest to the range's fidelity.
+   * @param {string} tokenId - "SERIES/MARKET" tickers
+   * @param {string} range - Key of CONFIG.PRICE_HISTORY_RANGES
+   * @returns {Promise<Array|null>} Price history array or null
+   */
+  async fetchPriceHistory(tokenId, range) {
+    const [seriesTicker, ticker] = tokenId.split('/');
+    const { fidelity, spanMs } = CONFIG.PRICE_HISTORY_RANGES[range];
+    const end = Math.floor(Date.now() / 1000);
+    const span = spanMs === Infinity ? CONFIG.KALSHI_FULL_HISTORY_DAYS * 86400 : spanMs / 1000;
+
+    const params = new URLSearchParams({
+      start_ts: end - Math.round(span),
+      end_ts: end,
+      period_interval: fidelity >= 1440 ? 1440 : 60
+    });
+
+    try {
+      const data = await this._get(`${CONFIG.KALSHI_API}/series/${seriesTicker}/markets/${ticker}/candlesticks?${params}`);
+      return (data.candlesticks || [])
+        .map(candle => ({ t: candle.end_period_ts, p: this._candlePrice(candle) }))
+        .filter(point => point.p !== null);
+    } catch (error) {
+      console.error('Error fetching Kalshi price history:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Highest-volume catalog events matching a keyword
+   * @private
+   */
+  async _topMatches(status, keyword, limit) {
+    return this._match(await this._catalog(status), keyword)
+      .map(entry => entry.event)
+      .sort((a, b) => this._eventVolume(b) - this._eventVolume(a))
+      .slice(0, limit);
+  },
+
+  /**
+   * Cached catalog of events with a status, loading it if needed
+   * Concurrent searches share one load.
+   * @private
+   */
+  async _catalog(status) {
+    const cached = this._catalogs.get(status);
+    if (cached && Date.now() - cached.fetchedAt < CONFIG.CACHE_TTL_MS) {
+      return await cached.request;
+    }
+
+    const request = this._loadCatalog(status);
+    this._catalogs.set(status, { request, fetchedAt: Date.now() });
+    try {
+      return await request;
+    } catch (error) {
+      this._catalogs.delete(status);
+      throw error;
+    }
+  },
+
+  /**
+   * Page through events with their markets, indexing each event's words
+   * @private
+   */
+  async _loadCatalog(status) {
+    const entries = [];
+    let cursor = '';
+
+    for (let page = 0; page < CONFIG.KALSHI_CATALOG_MAX_PAGES; page++) {
+      const params = new URLSearchParams({
+        status,
+        with_nested_markets: 'true',
+        limit: CONFIG.KALSHI_CATALOG_PAGE_SIZE
+      });
+      if (cursor) params.set('cursor', cursor);
+
+      const data = await this._get(`${CONFIG.KALSHI_API}/events?${params}`);
+      for (const event of (data.events || [])) {
+        const text = [
+          event.title,
+          event.sub_title,
+          ...(event.markets || []).map(market => market.yes_sub_title || market.subtitle)
+        ].filter(Boolean).join(' ');
+        entries.push({ event, words: new Set(Utils.tokenize(text)) });
+      }
+
+      cursor = data.cursor;
+      if (!cursor) break;
+    }
+
+    return entries;
+  },
+
+  /**
+   * Catalog entries containing every significant word of the text
+   * Words also match as prefixes, so "election" finds "elections".
+   * @private
+   */
+  _match(entries, text) {
+    const terms = Utils.tokenize(text).filter(word => !Utils.STOPWORDS.has(word));
+    if (terms.length === 0) return [];
+
+    return entries.filter(({ words }) => terms.every(term =>
+      words.has(term) || [...words].some(word => word.startsWith(term))
+    ));
+  },
+
+  /**
+   * @private
+   */
+  _passesFilters(event, filters) {
+    if (filters.tag && !(this.CATEGORIES[filters.tag] || []).includes(event.category)) return false;
+
+    const endDate = this._endDate(event)?.slice(0, 10);
+    if (filters.endDateMin && (!endDate || endDate < filters.endDateMin)) return false;
+    if (filters.endDateMax && (!endDate || endDate > filters.endDateMax)) return false;
+
+    if (filters.minVolume && this._eventVolume(event) < filters.minVolume) return false;
+    if (filters.minLiquidity) {
+      const liquidity = (event.markets || []).reduce((sum, market) => sum + (this._dollars(market, 'liquidity') || 0), 0);
+      if (liquidity < filters.minLiquidity) return false;
+    }
+    return true;
+  },
+
+  /**
+   * Latest market close time of an event (ISO string)
+   * @private
+   */
+  _endDate(event) {
+    return (event.markets || []).map(market => market.close_time).filter(Boolean).sort().pop() || null;
+  },
+
+  /**
+   * Contracts traded across an event's markets (each pays out $1)
+   * @private
+   */
+  _eventVolume(event) {
+    return (event.markets || []).reduce((sum, market) => sum + (parseFloat(market.volume) || 0), 0);
+  },
+
+  /**
+   * Dollar value of a price field; newer responses have `<field>_dollars`,
+   * older ones only cents
+   * @private
+   */
+  _dollars(source, field) {
+    const dollars = parseFloat(source?.[`${field}_dollars`]);
+    if (!Number.isNaN(dollars)) return dollars;
+    const cents = parseFloat(source?.[field]);
+    return Number.isNaN(cents) ? null : cents / 100;
+  },
+
+  /**
+   * Yes price: the bid/ask midpoint, or the last trade when the spread is wide
+   * Closed markets use their last trade, falling back to the result.
+   * @private
+   */
+  _yesPrice(market) {
+    if (!this._isOpen(market)) {
+      const last = this._dollars(market, 'last_price');
+      if (last > 0) return last;
+      return { yes: 1, no: 0 }[market.result] ?? null;
+    }
+
+    const bid = this._dollars(market, 'yes_bid');
+    const ask = this._dollars(market, 'yes_ask');
+    const last = this._dollars(market, 'last_price');
+    const hasQuotes = bid > 0 && ask > 0;
+
+    if (hasQuotes && ask - bid <= CONFIG.ILLIQUID_MAX_SPREAD) return (bid + ask) / 2;
+    if (last > 0) return last;
+    return hasQuotes ? (bid + ask) / 2 : null;
+  },
+
+  /**
+   * Candle close price, falling back to the quote midpoint when nothing traded
+   * @private
+   */
+  _candlePrice(candle) {
+    const close = this._dollars(candle.price, 'close');
+    if (close !== null) return close;
+
+    const bid = this._dollars(candle.yes_bid, 'close');
+    const ask = this._dollars(candle.yes_ask, 'close');
+    return bid !== null && ask !== null ? (bid + ask) / 2 : null;
+  },
+
+  /**
+   * GET a Kalshi endpoint through the shared scheduler
+   * @private
+   */
+  async _get(url) {
+    try {
+      return await RequestScheduler.fetchJson(url, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+      });
+    } catch (error) {
+      throw new Error(`Kalshi API error: ${error.message}`);
+    }
+  },
+
+  /**
+   * Transform Kalshi events into normalized event objects
+   * @param {Array} events - Events with nested markets
+   * @param {Object} [options]
+   * @param {boolean} [options.includeClosed] - Keep closed markets (skipped by default)
+   * @private
+   */
+  _transformEvents(events, { includeClosed = false } = {}) {
+    const normalized = [];
+
+    for (const event of events) {
+      const markets = (event.markets || [])
+        .filter(market => includeClosed || this._isOpen(market))
+        .map(market => this._transformMarket(event, market))
+        .filter(Boolean);
+
+      if (markets.length > 0) {
+        normalized.push({
+          provider: this.id,
+          eventId: event.event_ticker,
+          eventTitle: event.title,
+          eventSlug: event.event_ticker,
+          eventImage: null,
+          eventVolume: String(this._eventVolume(event)),
+          volume24hr: markets.reduce((sum, market) => sum + (market.volume24hr || 0), 0),
+          liquidity: markets.reduce((sum, market) => sum + (market.liquidity || 0), 0),
+          endDate: this._endDate(event),
+          // Strike markets share their rules apart from the strike itself
+          description: markets[0].description,
+          resolutionSource: markets[0].resolutionSource,
+          tags: event.category ? [event.category] : [],
+          url: `https://kalshi.com/markets/${event.series_ticker.toLowerCase()}`,
+          seriesId: event.series_ticker,
+          negRisk: Boolean(event.mutually_exclusive),
+          closed: markets.every(market => market.closed),
+          markets: markets
+        });
+        Utils.checkOutcomeSum(normalized[normalized.length - 1]);
+      }
+    }
+
+    return normalized;
+  },
+
+  /**
+   * @private
+   */
+  _transformMarket(event, market) {
+    const price = this._yesPrice(market);
+    // Skip markets nobody has quoted or traded
+    if (price === null) return null;
+
+    const probability = Math.round(price * 100);
+    const tokenId = `${event.series_ticker}/${market.ticker}`;
+    const bid = this._dollars(market, 'yes_bid');
+    const ask = this._dollars(market, 'yes_ask');
+    const liquidity = this._dollars(market, 'liquidity');
+
+    return {
+      id: market.ticker,
+      tokenId: tokenId,
+      title: market.yes_sub_title || market.subtitle || market.title,
+      question: market.title,
+      probability: probability,
+      outcomes: [
+        { label: 'Yes', probability: probability, tokenId: tokenId },
+        { label: 'No', probability: 100 - probability, tokenId: null }
+      ],
+      yesNo: true,
+      volume: String(market.volume || 0),
+      volume24hr: parseFloat(market.volume_24h) || 0,
+      liquidity: liquidity,
+      endDate: market.close_time || null,
+      description: [market.rules_primary, market.rules_secondary].filter(Boolean).join('\n\n') || null,
+      resolutionSource: null,
+      closed: !this._isOpen(market),
+      resolvedOutcome: { yes: 'Yes', no: 'No' }[market.result] || null,
+      illiquid: (liquidity !== null && liquidity < CONFIG.ILLIQUID_LIQUIDITY_USD)
+        || (bid > 0 && ask > 0 && ask - bid > CONFIG.ILLIQUID_MAX_SPREAD),
+      stale: market.volume_24h === 0
+    };
+  },
+
+  /**
+   * @private
+   */
+  _isOpen(market) {
+    return market.status === 'active' || market.status === 'open';
+  }
+};
+
+// Freeze public interface
+Object.freeze(KalshiService);
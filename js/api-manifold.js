@@ -0,0 +1,244 @@
+/**
+ * Manifold API service layer (market provider, see MarketProviders)
+ * Manifold trades play money (mana, Ṁ). Each question becomes its own event:
+ * binary questions as a Yes/No market, multiple choice questions as one
+ * market with an outcome per answer.
+ * All requests go through RequestScheduler for throttling and retries.
+ */
+
+const ManifoldService = {
+  id: 'manifold',
+  name: 'Manifold',
+  currencySymbol: 'Ṁ',
+
+  // Question types that map onto the event/market model
+  SUPPORTED_TYPES: Object.freeze(['BINARY', 'MULTIPLE_CHOICE']),
+
+  /**
+   * Search open Manifold questions by a single keyword
+   * @param {string} keyword - Search keyword
+   * @param {Object} [options]
+   * @param {boolean} [options.includeResolved] - Also return resolved questions
+   * @returns {Promise<Array>} Array of events with markets
+   * @throws {Error} If a request fails after retries
+   */
+  async searchByKeyword(keyword, { includeResolved = false } = {}) {
+    const search = async (filter, limit) => {
+      const params = new URLSearchParams({ term: keyword, filter, sort: 'score', limit });
+      return await this._get(`${CONFIG.MANIFOLD_API}/search-markets?${params}`);
+    };
+
+    const open = search('open', CONFIG.PROVIDER_RESULTS_PER_KEYWORD)
+      .then(contracts => this._transformContracts(contracts));
+    if (!includeResolved) return await open;
+
+    const resolved = search('resolved', CONFIG.RESOLVED_RESULTS_PER_KEYWORD)
+      .then(contracts => this._transformContracts(contracts, { includeClosed: true }));
+    return (await Promise.all([open, resolved])).flat();
+  },
+
+  /**
+   * Search questions with faceted filters (manual search panel)
+   * Manifold's topics don't line up with the category filter, so no
+   * questions are returned when a category is chosen. Volume is in mana.
+   * @param {string} query - Free-text query; empty to browse by filters alone
+   * @param {Object} [filters] - See PolymarketService.searchEvents
+   * @returns {Promise<Array>} Normalized events
+   */
+  async searchEvents(query, filters = {}) {
+    if (filters.tag) return [];
+
+    const closed = filters.status === 'closed';
+    const params = new URLSearchParams({
+      term: query.trim(),
+      filter: closed ? 'resolved' : 'open',
+      sort: filters.sort === 'endDate' ? (closed ? 'resolve-date' : 'close-date') : 'most-popular',
+      limit: CONFIG.MARKET_SEARCH_LIMIT
+    });
+
+    const contracts = (await this._get(`${CONFIG.MANIFOLD_API}/search-markets?${params}`))
+      .filter(contract => this._passesFilters(contract, filters));
+    return await this._transformContracts(contracts, { includeClosed: closed });
+  },
+
+  /**
+   * Fetch price history for a question or answer from its recent bets
+   * @param {string} tokenId - Question ID, or "QUESTION/ANSWER" for an answer
+   * @param {string} range - Key of CONFIG.PRICE_HISTORY_RANGES
+   * @returns {Promise<Array|null>} Price history array or null
+   */
+  async fetchPriceHistory(tokenId, range) {
+    const [contractId, answerId] = tokenId.split('/');
+    const { fidelity, spanMs } = CONFIG.PRICE_HISTORY_RANGES[range];
+    const since = Date.now() - spanMs;
+
+    try {
+      // Newest first
+      const bets = await this._get(`${CONFIG.MANIFOLD_API}/bets?contractId=${contractId}&limit=${CONFIG.MANIFOLD_MAX_BETS}`);
+      const points = bets
+        .filter(bet => bet.probAfter !== undefined && bet.createdTime >= since)
+        .filter(bet => !answerId || bet.answerId === answerId)
+        .map(bet => ({ t: Math.floor(bet.createdTime / 1000), p: bet.probAfter }))
+        .reverse();
+      return this._downsample(points, fidelity * 60);
+    } catch (error) {
+      console.error('Error fetching Manifold price history:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Keep the last point in each bucket of the range's fidelity
+   * @private
+   */
+  _downsample(points, bucketSeconds) {
+    const buckets = new Map();
+    for (const point of points) {
+      buckets.set(Math.floor(point.t / bucketSeconds), point);
+    }
+    return [...buckets.values()];
+  },
+
+  /**
+   * @private
+   */
+  _passesFilters(contract, filters) {
+    const endDate = contract.closeTime ? new Date(contract.closeTime).toISOString().slice(0, 10) : null;
+    if (filters.endDateMin && (!endDate || endDate < filters.endDateMin)) return false;
+    if (filters.endDateMax && (!endDate || endDate > filters.endDateMax)) return false;
+    if (filters.minVolume && (contract.volume || 0) < filters.minVolume) return false;
+    if (filters.minLiquidity && (contract.totalLiquidity || 0) < filters.minLiquidity) return false;
+    return true;
+  },
+
+  /**
+   * GET a Manifold endpoint through the shared scheduler
+   * @private
+   */
+  async _get(url) {
+    try {
+      return await RequestScheduler.fetchJson(url, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+      });
+    } catch (error) {
+      throw new Error(`Manifold API error: ${error.message}`);
+    }
+  },
+
+  /**
+   * Transform search results into normalized event objects
+   * Search results leave out answers, so multiple choice questions are
+   * fetched in full.
+   * @param {Array} contracts - Questions from search-markets
+   * @param {Object} [options]
+   * @param {boolean} [options.includeClosed] - Keep closed questions (skipped by default)
+   * @private
+   */
+  async _transformContracts(contracts, { includeClosed = false } = {}) {
+    const supported = contracts.filter(contract =>
+      this.SUPPORTED_TYPES.includes(contract.outcomeType) && (includeClosed || !this._isClosed(contract))
+    );
+
+    const full = await Promise.all(supported.map(async (contract) => {
+      if (contract.outcomeType !== 'MULTIPLE_CHOICE' || contract.answers) return contract;
+      try {
+        return await this._get(`${CONFIG.MANIFOLD_API}/market/${contract.id}`);
+      } catch (error) {
+        console.error('Error fetching Manifold answers:', error);
+        return null;
+      }
+    }));
+
+    return full.filter(Boolean).map(contract => this._transformContract(contract)).filter(Boolean);
+  },
+
+  /**
+   * @private
+   */
+  _transformContract(contract) {
+    const outcomes = contract.outcomeType === 'BINARY'
+      ? [
+        { label: 'Yes', probability: Math.round(contract.probability * 100), tokenId: contract.id },
+        { label: 'No', probability: 100 - Math.round(contract.probability * 100), tokenId: null }
+      ]
+      : [...(contract.answers || [])]
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, CONFIG.MANIFOLD_MAX_ANSWERS)
+        .map(answer => ({
+          label: answer.text,
+          probability: Math.round(answer.probability * 100),
+          tokenId: `${contract.id}/${answer.id}`
+        }));
+
+    if (outcomes.length === 0 || Number.isNaN(outcomes[0].probability)) return null;
+
+    const lastBetTime = contract.lastBetTime || 0;
+    const details = {
+      volume24hr: contract.volume24Hours ?? null,
+      liquidity: contract.totalLiquidity ?? null,
+      endDate: contract.closeTime ? new Date(contract.closeTime).toISOString() : null,
+      // Only full questions carry the description; search results don't
+      description: contract.textDescription || null,
+      resolutionSource: null
+    };
+
+    return {
+      provider: this.id,
+      eventId: contract.id,
+      eventTitle: contract.question,
+      eventSlug: contract.slug,
+      eventImage: Utils.httpsUrl(contract.coverImageUrl),
+      eventVolume: String(contract.volume || 0),
+      ...details,
+      tags: contract.groupSlugs || [],
+      url: Utils.httpsUrl(contract.url) || `https://manifold.markets/${encodeURIComponent(contract.creatorUsername)}/${encodeURIComponent(contract.slug)}`,
+      seriesId: null,
+      negRisk: false,
+      closed: this._isClosed(contract),
+      markets: [{
+        id: contract.id,
+        tokenId: outcomes[0].tokenId,
+        title: contract.question,
+        question: contract.question,
+        probability: outcomes[0].probability,
+        outcomes: outcomes,
+        yesNo: contract.outcomeType === 'BINARY',
+        volume: String(contract.volume || 0),
+        ...details,
+        closed: this._isClosed(contract),
+        resolvedOutcome: this._resolvedOutcome(contract),
+        illiquid: (contract.totalLiquidity ?? Infinity) < CONFIG.MANIFOLD_ILLIQUID_LIQUIDITY,
+        stale: Date.now() - lastBetTime > 24 * 60 * 60 * 1000
+      }]
+    };
+  },
+
+  /**
+   * Label of the winning outcome, or null if unresolved
+   * Binary questions can also resolve to a probability (MKT) or be cancelled.
+   * @private
+   */
+  _resolvedOutcome(contract) {
+    if (!contract.isResolved) return null;
+    if (contract.resolution === 'CANCEL') return 'Cancelled';
+
+    if (contract.outcomeType === 'BINARY') {
+      if (contract.resolution === 'MKT') {
+        return `${Math.round((contract.resolutionProbability ?? contract.probability) * 100)}%`;
+      }
+      return { YES: 'Yes', NO: 'No' }[contract.resolution] || null;
+    }
+    return contract.answers?.find(answer => answer.id === contract.resolution)?.text || null;
+  },
+
+  /**
+   * @private
+   */
+  _isClosed(contract) {
+    return Boolean(contract.isResolved || (contract.closeTime && contract.closeTime < Date.now()));
+  }
+};
+
+// Freeze public interface
+Object.freeze(ManifoldService);
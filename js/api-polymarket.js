@@ -1,74 +1,101 @@
 /**
- * Polymarket API service layer
+ * Polymarket API service layer (market provider, see MarketProviders)
+ * All requests go through RequestScheduler for throttling and retries.
  */
 
 const PolymarketService = {
+  id: 'polymarket',
+  name: 'Polymarket',
+  currencySymbol: '$',
+
   /**
    * Search Polymarket by a single keyword
    * @param {string} keyword - Search keyword
+   * @param {Object} [options]
+   * @param {boolean} [options.includeResolved] - Also return closed events
    * @returns {Promise<Array>} Array of events with markets
+   * @throws {Error} If a request fails after retries
    */
-  async searchByKeyword(keyword) {
-    try {
-      const response = await fetch(
-        `${CONFIG.POLYMARKET_SEARCH_API}?q=${encodeURIComponent(keyword)}&limit_per_type=10`,
-        {
-          method: 'GET',
-          headers: { 'Accept': 'application/json' }
-        }
-      );
+  async searchByKeyword(keyword, { includeResolved = false } = {}) {
+    const query = `${CONFIG.POLYMARKET_SEARCH_API}?q=${encodeURIComponent(keyword)}`;
+    const active = this._get(`${query}&limit_per_type=${CONFIG.PROVIDER_RESULTS_PER_KEYWORD}`)
+      .then(data => this._transformSearchResults(data));
+    if (!includeResolved) return await active;
 
-      if (!response.ok) {
-        throw new Error(`Polymarket API error: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return this._transformSearchResults(data);
-    } catch (error) {
-      console.error('Error searching Polymarket:', error);
-      return [];
-    }
+    const resolved = this._get(`${query}&limit_per_type=${CONFIG.RESOLVED_RESULTS_PER_KEYWORD}&events_status=closed`)
+      .then(data => this._transformSearchResults(data, { includeClosed: true }));
+    return (await Promise.all([active, resolved])).flat();
   },
 
   /**
-   * Search Polymarket with multiple keywords
-   * @param {string[]} keywords - Array of search keywords
-   * @returns {Promise<Array>} Deduplicated array of events
+   * Search events directly, with faceted filters (manual search panel)
+   * Text matching goes through public-search, which has no filters; the
+   * matching event IDs are then re-queried on the events endpoint so the
+   * filters and sort order are applied server-side.
+   * @param {string} query - Free-text query; empty to browse by filters alone
+   * @param {Object} [filters]
+   * @param {string} [filters.tag] - Tag slug, e.g. 'politics'
+   * @param {'active'|'closed'} [filters.status] - Defaults to 'active'
+   * @param {string} [filters.endDateMin] - YYYY-MM-DD
+   * @param {string} [filters.endDateMax] - YYYY-MM-DD
+   * @param {number} [filters.minVolume] - Minimum total volume (USD)
+   * @param {number} [filters.minLiquidity] - Minimum liquidity (USD)
+   * @param {'volume'|'endDate'|'movers'} [filters.sort] - Highest volume, or by end date;
+   *   biggest movers are fetched by volume and reordered once price history is in
+   * @returns {Promise<Array>} Normalized events
    */
-  async search(keywords) {
-    try {
-      const allEvents = [];
+  async searchEvents(query, filters = {}) {
+    const closed = filters.status === 'closed';
+    const params = new URLSearchParams({
+      limit: CONFIG.MARKET_SEARCH_LIMIT,
+      order: filters.sort === 'endDate' ? 'endDate' : 'volume',
+      // Soonest end first for open events; most recently ended for closed ones
+      ascending: String(filters.sort === 'endDate' && !closed),
+      closed: String(closed)
+    });
 
-      // Search for each keyword
-      for (const keyword of keywords.slice(0, CONFIG.MAX_KEYWORDS_TO_SEARCH)) {
-        const events = await this.searchByKeyword(keyword);
-        allEvents.push(...events);
-      }
+    if (!closed) params.set('active', 'true');
+    if (filters.tag) params.set('tag_slug', filters.tag);
+    if (filters.endDateMin) params.set('end_date_min', `${filters.endDateMin}T00:00:00Z`);
+    if (filters.endDateMax) params.set('end_date_max', `${filters.endDateMax}T23:59:59Z`);
+    if (filters.minVolume) params.set('volume_min', filters.minVolume);
+    if (filters.minLiquidity) params.set('liquidity_min', filters.minLiquidity);
 
-      // Remove duplicates and merge markets from same event
-      return this._deduplicateEvents(allEvents);
-    } catch (error) {
-      console.error('Polymarket search error:', error);
-      throw new Error(`Failed to search Polymarket: ${error.message}`);
+    if (query.trim()) {
+      const ids = await this._searchEventIds(query.trim(), closed);
+      if (ids.length === 0) return [];
+      ids.forEach(id => params.append('id', id));
     }
+
+    const events = await this._get(`${CONFIG.POLYMARKET_EVENTS_API}?${params}`);
+    return this._transformSearchResults({ events }, { includeClosed: closed });
   },
 
   /**
-   * Fetch 7-day price history for a market
-   * @param {string} clobTokenId - Token ID for the market
-   * @returns {Promise<Array|null>} Price history array or null
+   * IDs of events matching a text query
+   * @private
    */
-  async fetchPriceHistory(clobTokenId) {
-    if (!clobTokenId) return null;
-
-    try {
-      const response = await fetch(
-        `${CONFIG.POLYMARKET_PRICE_HISTORY_API}?market=${clobTokenId}&interval=1w&fidelity=60`
-      );
+  async _searchEventIds(query, closed) {
+    const params = new URLSearchParams({
+      q: query,
+      limit_per_type: CONFIG.MARKET_SEARCH_LIMIT,
+      events_status: closed ? 'closed' : 'active'
+    });
 
-      if (!response.ok) return null;
+    const data = await this._get(`${CONFIG.POLYMARKET_SEARCH_API}?${params}`);
+    return (data.events || []).map(event => event.id);
+  },
 
-      const data = await response.json();
+  /**
+   * Fetch price history for a market
+   * @param {string} tokenId - CLOB token ID
+   * @param {string} range - Key of CONFIG.PRICE_HISTORY_RANGES
+   * @returns {Promise<Array|null>} Price history array or null
+   */
+  async fetchPriceHistory(tokenId, range) {
+    const { interval, fidelity } = CONFIG.PRICE_HISTORY_RANGES[range];
+    try {
+      const data = await this._get(`${CONFIG.POLYMARKET_PRICE_HISTORY_API}?market=${tokenId}&interval=${interval}&fidelity=${fidelity}`);
       return data.history || [];
     } catch (error) {
       console.error('Error fetching price history:', error);
@@ -77,76 +104,150 @@ const PolymarketService = {
   },
 
   /**
-   * Enrich events with price history data
-   * @param {Array} events - Events to enrich
-   * @returns {Promise<Array>} Events with price history
+   * Fetch order book summaries for many tokens in batched requests
+   * @param {string[]} tokenIds - CLOB token IDs
+   * @returns {Promise<Map<string, Object>>} Token ID -> summary from Utils.summarizeOrderBook;
+   *   tokens whose batch failed are missing
+   */
+  async fetchOrderBooks(tokenIds) {
+    const ids = [...new Set(tokenIds.filter(Boolean))];
+    const batches = [];
+    for (let i = 0; i < ids.length; i += CONFIG.ORDER_BOOK_BATCH_SIZE) {
+      batches.push(ids.slice(i, i + CONFIG.ORDER_BOOK_BATCH_SIZE));
+    }
+
+    const books = new Map();
+    await Promise.all(batches.map(async (batch) => {
+      try {
+        const data = await RequestScheduler.fetchJson(CONFIG.POLYMARKET_BOOKS_API, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+          body: JSON.stringify(batch.map(id => ({ token_id: id })))
+        });
+        for (const book of (data || [])) {
+          books.set(book.asset_id, Utils.summarizeOrderBook(book));
+        }
+      } catch (error) {
+        console.error('Error fetching order books:', error);
+      }
+    }));
+    return books;
+  },
+
+  /**
+   * Order book details for markets
+   * A market whose order book is thin or wide is marked illiquid.
+   * @param {Array} markets - Normalized markets
+   * @returns {Promise<Map<string, Object>>} Token ID -> `orderBook` and `illiquid` fields
+   */
+  async fetchMarketDetails(markets) {
+    // Closed markets have no order book
+    const open = markets.filter(market => !market.closed);
+    const orderBooks = await this.fetchOrderBooks(open.map(market => market.tokenId));
+
+    const details = new Map();
+    for (const market of open) {
+      const orderBook = orderBooks.get(market.tokenId) || null;
+      details.set(market.tokenId, {
+        orderBook,
+        illiquid: market.illiquid || orderBook?.confidence === 'low'
+      });
+    }
+    return details;
+  },
+
+  /**
+   * GET a Polymarket endpoint through the shared scheduler
+   * @private
    */
-  async enrichWithPriceHistory(events) {
-    return await Promise.all(
-      events.map(async (event) => ({
-        ...event,
-        markets: await Promise.all(
-          event.markets.map(async (market) => ({
-            ...market,
-            priceHistory: await this.fetchPriceHistory(market.clobTokenId)
-          }))
-        )
-      }))
-    );
+  async _get(url) {
+    try {
+      return await RequestScheduler.fetchJson(url, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' }
+      });
+    } catch (error) {
+      throw new Error(`Polymarket API error: ${error.message}`);
+    }
   },
 
   /**
    * Transform API search results into normalized event objects
+   * @param {Object} data - Response with an `events` array
+   * @param {Object} [options]
+   * @param {boolean} [options.includeClosed] - Keep closed markets (skipped by default)
    * @private
    */
-  _transformSearchResults(data) {
+  _transformSearchResults(data, { includeClosed = false } = {}) {
     const events = [];
 
     for (const event of (data.events || [])) {
       const markets = [];
 
       for (const market of (event.markets || [])) {
-        if (market.closed) continue; // Skip closed markets
+        if (market.closed && !includeClosed) continue; // Skip closed markets
 
         const title = market.groupItemTitle || market.question;
-        const probability = Utils.calculateProbabilityFromPrices(market.outcomePrices);
+        let probability = Utils.calculateProbabilityFromPrices(market.outcomePrices);
         const volume = parseFloat(market.volume) || 0;
 
         // Skip placeholder entries (no trading activity)
         if (volume === 0 && probability === 50) continue;
 
-        // Parse clobTokenIds JSON string to get the first token
-        let clobTokenId = null;
-        if (market.clobTokenIds) {
-          try {
-            const tokenIds = JSON.parse(market.clobTokenIds);
-            clobTokenId = tokenIds?.[0];
-          } catch (e) {
-            console.error('Error parsing clobTokenIds:', e);
-          }
+        // Every outcome's label and price; the first token backs `probability`
+        const outcomes = Utils.parseOutcomes(market.outcomes, market.outcomePrices, market.clobTokenIds);
+
+        // Resolved prices settle at 0 or 1; the last trade shows what the market expected
+        let resolvedOutcome = null;
+        if (market.closed) {
+          resolvedOutcome = outcomes.find(outcome => outcome.probability >= 99)?.label || null;
+          const lastTrade = this._number(market.lastTradePrice);
+          if (lastTrade !== null) probability = Math.round(lastTrade * 100);
         }
 
         markets.push({
           id: market.conditionId || market.id,
-          clobTokenId: clobTokenId,
+          tokenId: outcomes[0]?.tokenId || null,
           title: title,
           question: market.question,
           probability: probability,
+          outcomes: outcomes,
+          yesNo: Utils.isYesNoMarket(outcomes),
           volume: market.volume || '0',
-          closed: market.closed
+          volume24hr: this._number(market.volume24hr ?? market.volume24hrClob),
+          liquidity: this._number(market.liquidityNum ?? market.liquidity),
+          endDate: market.endDate || event.endDate || null,
+          // Resolution criteria
+          description: market.description || event.description || null,
+          resolutionSource: market.resolutionSource || event.resolutionSource || null,
+          closed: Boolean(market.closed),
+          resolvedOutcome: resolvedOutcome,
+          ...this._liquidityFlags(market)
         });
       }
 
       if (markets.length > 0) {
         events.push({
+          provider: this.id,
           eventId: event.id,
           eventTitle: event.title,
           eventSlug: event.slug,
           eventImage: event.image || event.icon,
           eventVolume: event.volume || '0',
+          volume24hr: this._number(event.volume24hr),
+          liquidity: this._number(event.liquidity),
+          endDate: event.endDate || null,
+          description: event.description || null,
+          resolutionSource: event.resolutionSource || null,
+          tags: (event.tags || []).map(tag => tag.label).filter(Boolean),
           url: `https://polymarket.com/event/${event.slug}`,
+          // Recurring events (daily, weekly, ...) share a series
+          seriesId: event.seriesSlug || event.series?.[0]?.slug || null,
+          negRisk: Boolean(event.negRisk || event.enableNegRisk),
+          closed: markets.every(market => market.closed),
           markets: markets
         });
+        Utils.checkOutcomeSum(events[events.length - 1]);
       }
     }
 
@@ -154,28 +255,30 @@ const PolymarketService = {
   },
 
   /**
-   * Deduplicate events and merge markets from same event
+   * Numeric field that may arrive as a string; null if missing
    * @private
    */
-  _deduplicateEvents(allEvents) {
-    const eventMap = new Map();
-
-    for (const event of allEvents) {
-      if (eventMap.has(event.eventId)) {
-        // Merge markets from same event found via different keywords
-        const existing = eventMap.get(event.eventId);
-        const existingMarketIds = new Set(existing.markets.map(m => m.id));
-        for (const market of event.markets) {
-          if (!existingMarketIds.has(market.id)) {
-            existing.markets.push(market);
-          }
-        }
-      } else {
-        eventMap.set(event.eventId, event);
-      }
-    }
+  _number(value) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+  },
+
+  /**
+   * Flag markets whose price can't be trusted
+   * Illiquid: thin book or wide spread. Stale: no trades in the last 24 hours.
+   * Fields missing from the response leave the flag off.
+   * @private
+   */
+  _liquidityFlags(market) {
+    const liquidity = parseFloat(market.liquidityNum ?? market.liquidity);
+    const spread = parseFloat(market.spread);
+    const volume24hr = parseFloat(market.volume24hr ?? market.volume24hrClob);
 
-    return Array.from(eventMap.values());
+    return {
+      illiquid: (!Number.isNaN(liquidity) && liquidity < CONFIG.ILLIQUID_LIQUIDITY_USD)
+        || (!Number.isNaN(spread) && spread > CONFIG.ILLIQUID_MAX_SPREAD),
+      stale: volume24hr === 0
+    };
   }
 };
 
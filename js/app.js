@@ -5,6 +5,15 @@
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', init);
 
+// Selection or link being analyzed instead of the whole tab (from the context menu),
+// or { type: 'tabs' } while showing a whole-window / tab-group analysis
+let activeTarget = null;
+
+// Streaming market search of the analysis in progress. It's cancelled when the
+// analysis fails, a new one starts or the tab changes, so results of an abandoned
+// run don't land in another view.
+let activeSearch = null;
+
 /**
  * Initialize the application
  */
@@ -26,10 +35,13 @@ async function init() {
   setupEventListeners();
 
   // Setup tab change detection for auto-displaying cached results
-  setupTabChangeDetection();
+  await setupTabChangeDetection();
 
   // Set initial API key visibility based on saved model
   UI.updateApiKeyVisibility();
+
+  // Pick up a context menu request that opened the panel
+  await consumePendingTarget();
 }
 
 /**
@@ -38,19 +50,91 @@ async function init() {
 function setupEventListeners() {
   document.getElementById('settingsBtn').addEventListener('click', () => UI.toggleSettings());
   document.getElementById('saveSettings').addEventListener('click', saveSettings);
-  document.getElementById('analyzeBtn').addEventListener('click', () => analyzeCurrentTab());
+  document.getElementById('analyzeBtn').addEventListener('click', () => {
+    activeTarget = null;
+    analyzeCurrentTab();
+  });
+  document.getElementById('analyzeTabsBtn').addEventListener('click', () => {
+    activeTarget = { type: 'tabs' };
+    analyzeAllTabs();
+  });
   document.getElementById('refreshBtn').addEventListener('click', refreshAnalysis);
+  document.getElementById('searchToggleBtn').addEventListener('click', () => UI.toggleSearchPanel());
+  document.getElementById('searchPanel').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runManualSearch();
+  });
 
   document.getElementById('showAnalysis').addEventListener('change', async (e) => {
     await AppState.save('showAnalysis', e.target.checked);
   });
 
+  document.getElementById('llmBackend').addEventListener('change', async (e) => {
+    await AppState.save('llmBackend', e.target.value);
+    await CacheService.clearAll();
+    UI.fillLlmEndpoint();
+    UI.updateApiKeyVisibility();
+  });
+
+  document.getElementById('llmEndpointGroup').addEventListener('change', async (e) => {
+    const field = {
+      llmBaseUrl: 'baseUrl', llmModel: 'model', llmApiKey: 'apiKey', llmEmbeddingModel: 'embeddingModel'
+    }[e.target.id];
+    if (!field) return;
+    await AppState.saveLlmEndpoint({ [field]: e.target.value.trim() });
+    if (field !== 'apiKey') {
+      await CacheService.clearAll();
+    }
+    UI.updateApiKeyVisibility();
+  });
+
   document.getElementById('geminiModel').addEventListener('change', async (e) => {
     await AppState.save('geminiModel', e.target.value);
     await CacheService.clearAll();
     UI.updateApiKeyVisibility();
   });
 
+  document.getElementById('summaryLanguage').addEventListener('change', async (e) => {
+    await AppState.save('summaryLanguage', e.target.value);
+    await CacheService.clearAll();
+  });
+
+  document.getElementById('screenshotMode').addEventListener('change', async (e) => {
+    await AppState.save('screenshotMode', e.target.value);
+    await CacheService.clearAll();
+  });
+
+  document.getElementById('marketProviders').addEventListener('change', async (e) => {
+    const inputs = [...document.querySelectorAll('input[name="marketProvider"]')];
+    const enabled = inputs.filter(input => input.checked).map(input => input.value);
+    // Keep at least one provider
+    if (enabled.length === 0) {
+      e.target.checked = true;
+      return;
+    }
+    await AppState.save('marketProviders', enabled);
+    await CacheService.clearAll();
+  });
+
+  document.getElementById('includeResolved').addEventListener('change', async (e) => {
+    await AppState.save('includeResolved', e.target.checked);
+    await CacheService.clearAll();
+  });
+
+  // Applied when results are displayed, so cached results don't go stale
+  document.getElementById('sortByMovers').addEventListener('change', async (e) => {
+    await AppState.save('sortByMovers', e.target.checked);
+  });
+
+  document.getElementById('relevanceThreshold').addEventListener('change', async (e) => {
+    // Empty or out of range goes back to the backend's default
+    const threshold = parseFloat(e.target.value);
+    const valid = threshold >= 0 && threshold <= 1;
+    await AppState.save('relevanceThreshold', valid ? threshold : null);
+    e.target.value = valid ? threshold : '';
+    await CacheService.clearAll();
+  });
+
   document.getElementById('geminiKey').addEventListener('input', () => {
     UI.updateSaveButtonState();
   });
@@ -60,6 +144,50 @@ function setupEventListeners() {
     await CacheService.clearAll();
     UI.updateAgenticModeVisibility();
   });
+
+  // Live prices only while the panel is visible
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      LivePriceFeed.close();
+    } else if (UI.isShowingResults()) {
+      startLivePrices();
+    }
+  });
+
+  // Context menu clicks while the panel is already open
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'analyzeTarget') {
+      consumePendingTarget();
+    }
+  });
+}
+
+/**
+ * Run analysis for a selection or link handed over by the background worker
+ * Every open panel hears about it, so only the one showing the clicked tab takes it.
+ */
+async function consumePendingTarget() {
+  const { pendingTarget } = await chrome.storage.session.get('pendingTarget');
+  if (!pendingTarget) return;
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (pendingTarget.tabId !== tab?.id) return;
+  await chrome.storage.session.remove('pendingTarget');
+
+  activeTarget = pendingTarget;
+  analyzeCurrentTab(false, pendingTarget);
+}
+
+/**
+ * Cache scope for a context menu target, so partial analyses don't
+ * collide with the full-page result for the same tab
+ * @param {Object|null} target - Selection or link target
+ * @returns {string|undefined} Scope string, or undefined for the full page
+ */
+function getCacheScope(target) {
+  if (!target) return undefined;
+  if (target.type === 'selection') return `selection:${target.text}`;
+  return `link:${Utils.normalizeUrl(target.url)}`;
 }
 
 /**
@@ -73,6 +201,10 @@ function setupTabChangeDetection() {
     if (!tab || tab.url === currentUrl) return;
 
     currentUrl = tab.url;
+    activeTarget = null;
+    LivePriceFeed.close();
+    activeSearch?.cancel();
+    activeSearch = null;
 
     // Check if we have cached results for this URL
     const cached = await CacheService.get(tab.url);
@@ -82,6 +214,7 @@ function setupTabChangeDetection() {
       UI.hideFallbackNotice();
       UI.displayResults(cached.analysis, cached.markets, cached.agentDebugEntries);
       UI.showRefreshButton();
+      startLivePrices();
     } else {
       // No cache - reset to initial state
       UI.resetToInitialState();
@@ -99,19 +232,63 @@ function setupTabChangeDetection() {
   });
 
   // Initialize with current tab
-  handleUrlChange();
+  return handleUrlChange();
+}
+
+/**
+ * Stream live prices for the markets on screen
+ */
+function startLivePrices() {
+  LivePriceFeed.connect(UI.getDisplayedTokenIds(), (tokenId, price) => UI.updateLivePrice(tokenId, price));
 }
 
 /**
  * Force refresh analysis (bypass cache)
  */
 async function refreshAnalysis() {
+  if (activeTarget?.type === 'tabs') {
+    UI.hideRefreshButton();
+    analyzeAllTabs();
+    return;
+  }
+
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   if (tab) {
-    await CacheService.clear(tab.url);
+    await CacheService.clear(tab.url, getCacheScope(activeTarget));
   }
   UI.hideRefreshButton();
-  analyzeCurrentTab();
+  analyzeCurrentTab(false, activeTarget);
+}
+
+/**
+ * Search markets directly from the search panel, without page analysis
+ */
+async function runManualSearch() {
+  const { query, filters } = UI.getSearchRequest();
+
+  LivePriceFeed.close();
+  UI.hideError();
+  UI.hideResults();
+  UI.hideRefreshButton();
+  UI.hideFallbackNotice();
+  UI.setSearchSummary('Searching...');
+
+  try {
+    const events = await MarketProviders.searchEvents(query, filters);
+    let eventsWithHistory = await MarketProviders.enrichMarketData(events);
+    // Providers fetch by volume; movement needs the price history
+    if (filters.sort === 'movers') {
+      eventsWithHistory = Utils.sortByMovement(eventsWithHistory);
+    }
+
+    UI.setSearchSummary(`${events.length} ${events.length === 1 ? 'event' : 'events'} found`);
+    UI.displaySearchResults(eventsWithHistory);
+    startLivePrices();
+  } catch (error) {
+    console.error('Market search error:', error);
+    UI.setSearchSummary('');
+    UI.showError(`Failed to search markets: ${error.message}`, false);
+  }
 }
 
 /**
@@ -134,16 +311,17 @@ async function saveSettings() {
 }
 
 /**
- * Capture screenshot of current tab
+ * Capture screenshot of current tab using the configured screenshot mode
+ * @param {Object} tab - Chrome tab object
  * @returns {Promise<string|null>} Base64 encoded screenshot or null
  */
-async function captureScreenshot() {
+async function captureScreenshot(tab) {
   try {
-    const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'jpeg', quality: 80 });
-    UI.showScreenshot(dataUrl);
+    const screenshot = await ScreenshotService.capture(tab, AppState.screenshotMode);
+    if (!screenshot) return null; // Region selection cancelled
 
-    // Extract base64 data from data URL (remove "data:image/jpeg;base64," prefix)
-    return dataUrl.split(',')[1];
+    UI.showScreenshot(screenshot.dataUrl);
+    return screenshot.data;
   } catch (error) {
     console.error('Error capturing screenshot:', error);
     return null; // Continue without screenshot if capture fails
@@ -156,50 +334,102 @@ async function captureScreenshot() {
  * @returns {Promise<Object>} Extracted page content
  */
 async function extractPageContent(tab) {
+  // Chrome's PDF viewer can't be scripted; read the document directly
+  if (PdfTextExtractor.isPdfUrl(tab.url)) {
+    return await extractPdfContent(tab.url, tab.title);
+  }
+
   try {
+    // Load the extraction engine into the page, then run it
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ['js/site-extractors.js', 'js/content-extractor.js']
+    });
+
     const results = await chrome.scripting.executeScript({
       target: { tabId: tab.id },
-      func: () => {
-        // Extract meaningful text from the page
-        const title = document.title;
-        const metaDescription = document.querySelector('meta[name="description"]')?.content || '';
-
-        // Get main content (try to avoid navigation, headers, footers)
-        const mainContent = document.querySelector('main, article, [role="main"]');
-        const bodyText = mainContent ? mainContent.innerText : document.body.innerText;
-
-        // Limit text length to avoid overwhelming the API
-        const text = bodyText.substring(0, 5000);
-
-        return {
-          title,
-          description: metaDescription,
-          text
-        };
-      }
+      func: (maxLength) => ContentExtractor.extract(maxLength),
+      args: [CONFIG.DOCUMENT_MAX_LENGTH]
     });
 
     return results[0].result;
   } catch (error) {
+    // PDFs served without a .pdf extension only show up here
+    if (await PdfTextExtractor.isPdfResource(tab.url)) {
+      return await extractPdfContent(tab.url, tab.title);
+    }
     console.error('Error extracting page content:', error);
     throw new Error('Failed to extract page content. The page may not allow script injection.');
   }
 }
 
+/**
+ * Extract text from a PDF document
+ * Returns empty text instead of throwing when nothing is readable (scanned
+ * or encrypted PDFs), so analysis can fall back to the screenshot.
+ * @param {string} url - PDF URL
+ * @param {string} fallbackTitle - Title to use if the PDF has none
+ * @returns {Promise<Object>} Page content in the same shape as extractPageContent
+ */
+async function extractPdfContent(url, fallbackTitle) {
+  try {
+    const { title, text } = await PdfTextExtractor.extractFromUrl(url, CONFIG.DOCUMENT_MAX_LENGTH);
+    return { title: title || fallbackTitle, description: '', text };
+  } catch (error) {
+    console.warn('PDF text extraction failed:', error.message);
+    return { title: fallbackTitle, description: '', text: '' };
+  }
+}
+
+/**
+ * Build page content for a context menu target
+ * @param {Object} tab - Chrome tab object
+ * @param {Object} target - Selection or link target
+ * @returns {Promise<Object>} Page content in the same shape as extractPageContent
+ */
+async function extractTargetContent(tab, target) {
+  if (target.type === 'selection') {
+    return {
+      title: tab.title,
+      description: '',
+      text: target.text.substring(0, CONFIG.DOCUMENT_MAX_LENGTH)
+    };
+  }
+
+  if (PdfTextExtractor.isPdfUrl(target.url)) {
+    return await extractPdfContent(target.url, target.url);
+  }
+
+  // Links are fetched by the background worker and parsed here
+  const response = await chrome.runtime.sendMessage({ action: 'fetchPage', url: target.url });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to fetch linked page.');
+  }
+
+  const doc = new DOMParser().parseFromString(response.data.html, 'text/html');
+  return await ContentExtractor.extract(CONFIG.DOCUMENT_MAX_LENGTH, doc, response.data.url);
+}
+
 /**
  * Main analysis pipeline - orchestrates the entire flow
  * @param {boolean} forceRefresh - Skip cache if true
+ * @param {Object|null} target - Selection or link to analyze instead of the whole tab
  */
-async function analyzeCurrentTab(forceRefresh = false) {
+async function analyzeCurrentTab(forceRefresh = false, target = null) {
   // Check if API key is configured (not required for Nano)
   if (!AppState.hasRequiredApiKey()) {
-    UI.showError('Please configure your Gemini API key in settings first.', false);
+    UI.showError(LlmBackends.active().setupHint, false);
     document.getElementById('settingsBtn').classList.add('highlight');
     return;
   }
 
+  activeSearch?.cancel();
+  activeSearch = null;
+  let search = null;
+
   try {
     // Hide any previous state
+    LivePriceFeed.close();
     UI.hideError();
     UI.hideResults();
     UI.hideRefreshButton();
@@ -215,13 +445,16 @@ async function analyzeCurrentTab(forceRefresh = false) {
       throw new Error('No active tab found');
     }
 
+    const cacheScope = getCacheScope(target);
+
     // Check cache first (unless forcing refresh)
     if (!forceRefresh) {
-      const cached = await CacheService.get(tab.url);
+      const cached = await CacheService.get(tab.url, cacheScope);
       if (cached) {
         // Display cached results immediately
         UI.displayResults(cached.analysis, cached.markets, cached.agentDebugEntries);
         UI.showRefreshButton();
+        startLivePrices();
         return;
       }
     }
@@ -231,13 +464,41 @@ async function analyzeCurrentTab(forceRefresh = false) {
     UI.resetProgress();
 
     // Stage 1: Chrome - Extract content
-    UI.updateProgress('chrome', 'Extracting page content...');
+    let pageContent, screenshot = null;
+    if (target) {
+      // The screenshot shows the whole tab, which would dilute a selection or link
+      UI.updateProgress('chrome', target.type === 'selection' ? 'Reading selected text...' : 'Fetching linked page...');
+      pageContent = await extractTargetContent(tab, target);
+    } else {
+      UI.updateProgress('chrome', 'Extracting page content...');
+
+      if (AppState.screenshotMode === 'viewport') {
+        // Extract page content and capture screenshot in parallel
+        [pageContent, screenshot] = await Promise.all([
+          extractPageContent(tab),
+          captureScreenshot(tab)
+        ]);
+      } else {
+        // Full-page capture scrolls and hides fixed elements, and region
+        // capture waits on the user, so extract first
+        pageContent = await extractPageContent(tab);
+        UI.updateProgress('chrome', AppState.screenshotMode === 'region'
+          ? 'Drag over the part of the page to analyze...'
+          : 'Capturing full page...');
+        screenshot = await captureScreenshot(tab);
+      }
+      pageContent.screenshotMode = screenshot ? AppState.screenshotMode : null;
+    }
 
-    // Extract page content and capture screenshot in parallel
-    const [pageContent, screenshot] = await Promise.all([
-      extractPageContent(tab),
-      captureScreenshot()
-    ]);
+    // Nothing readable (e.g. a scanned PDF) and no screenshot to fall back on
+    if (!pageContent.text && !screenshot) {
+      throw new Error('Failed to extract page content. No readable text was found.');
+    }
+
+    pageContent.language = await LanguageService.detect(pageContent);
+
+    const pageTitle = pageContent.title || tab.title;
+    const pageUrl = target?.type === 'link' ? target.url : tab.url;
 
     let agentFailed = false;
 
@@ -259,25 +520,29 @@ async function analyzeCurrentTab(forceRefresh = false) {
           const queriesText = Array.isArray(detail.queries)
             ? detail.queries.map(q => `"${q}"`).join(', ')
             : `"${detail.query || ''}"`;
-          debugEntries.push({ type: 'search_result', text: `Found ${detail.count} events for ${queriesText}` });
+          const failedText = detail.failed ? ` (${detail.failed} of ${detail.queries.length} searches failed)` : '';
+          debugEntries.push({ type: 'search_result', text: `Found ${detail.count} events for ${queriesText}${failedText}` });
+        } else if (type === 'lookup') {
+          debugEntries.push({ type: 'lookup', text: detail });
         }
       };
 
       try {
-        const result = await GeminiService.runAgent(pageContent, tab.title, tab.url, screenshot, onProgress);
+        const result = await GeminiService.runAgent(pageContent, pageTitle, pageUrl, screenshot, onProgress);
 
-        // Enrich with price history
-        const marketsWithHistory = await PolymarketService.enrichWithPriceHistory(result.markets);
+        // Enrich with price history and order books
+        const marketsWithHistory = await MarketProviders.enrichMarketData(result.markets);
 
         // Cache results with debug entries
         await CacheService.set(tab.url, {
           analysis: result.analysis,
           markets: marketsWithHistory,
           agentDebugEntries: debugEntries
-        });
+        }, cacheScope);
 
         UI.resetAgentMilestones();
         UI.displayResults(result.analysis, marketsWithHistory, debugEntries);
+        startLivePrices();
         UI.showRefreshButton();
       } catch (agentError) {
         console.warn('Agentic mode failed, falling back to fixed pipeline:', agentError.message);
@@ -291,27 +556,53 @@ async function analyzeCurrentTab(forceRefresh = false) {
       // Stage 2: Gemini - Analyze with AI
       const usingNano = AppState.isUsingNano();
       UI.updateProgress('gemini', usingNano ? 'Analyzing with on-device AI...' : 'Analyzing with AI...');
-      const analysis = await GeminiService.analyze(pageContent, tab.title, tab.url, screenshot);
+      const onChunkProgress = (completed, total) => {
+        UI.updateProgress('gemini', `Analyzing long document: ${completed} of ${total} sections...`);
+      };
+
+      // The summary renders as it streams in, and each keyword is searched as
+      // soon as it's complete, with events shown as their searches finish
+      UI.startStreamingResults();
+      search = MarketProviders.startSearch({
+        onEvents: (events) => UI.addStreamingEvents(events)
+      });
+      activeSearch = search;
+      const onPartial = (partial) => {
+        if (search !== activeSearch) return;
+        UI.updateStreamingAnalysis(partial);
+        partial.keywords.forEach(keyword => search.add(keyword));
+      };
+      const analysis = await GeminiService.analyze(pageContent, pageTitle, pageUrl, screenshot, onChunkProgress, onPartial);
+      // Superseded by another analysis or a tab change
+      if (search !== activeSearch) return;
+      UI.updateStreamingAnalysis(analysis, true);
 
-      // Stage 3: Polymarket - Search markets
+      // Stage 3: Search markets on the enabled providers
       UI.updateProgress('polymarket', 'Searching prediction markets...');
-      const markets = await PolymarketService.search(analysis.keywords);
+      analysis.keywords.forEach(keyword => search.add(keyword));
+      const searchOutcome = await search.finish();
+      const markets = searchOutcome.events;
 
-      // Stage 4: Filter - Rank events by relevance
+      // Stage 4: Filter - Rank events by relevance, reordering the cards already shown
       UI.updateProgress('filter', 'Filtering results...');
       const filteredMarkets = await GeminiService.filterEvents(markets, analysis);
+      UI.reorderStreamingEvents(filteredMarkets);
 
-      // Fetch price history for all markets in parallel
-      const marketsWithHistory = await PolymarketService.enrichWithPriceHistory(filteredMarkets);
+      // Fetch price history and order books for all markets in parallel
+      const marketsWithHistory = await MarketProviders.enrichMarketData(filteredMarkets);
 
       // Cache the results
       await CacheService.set(tab.url, {
         analysis: analysis,
         markets: marketsWithHistory
-      });
+      }, cacheScope);
+
+      if (search !== activeSearch) return;
 
       // Display results
       UI.displayResults(analysis, marketsWithHistory);
+      startLivePrices();
+      UI.showSearchFailures(searchOutcome);
       UI.showRefreshButton();
 
       // Show fallback notice — prefer the more actionable API-key guidance over the generic agent banner
@@ -324,8 +615,192 @@ async function analyzeCurrentTab(forceRefresh = false) {
 
   } catch (error) {
     console.error('Analysis error:', error);
+    search?.cancel();
+    // An abandoned run's error would replace the view that superseded it
+    if (search && search !== activeSearch) return;
     UI.resetAgentMilestones();
     UI.hideFallbackNotice();
+    UI.hideResults();
+    UI.showError(error.message);
+    UI.hideLoading();
+  }
+}
+
+/**
+ * Tabs to analyze together with the active tab: its tab group if it is in
+ * one, otherwise the whole window. Tabs that can't be scripted (browser
+ * pages, the Web Store, discarded tabs) are left out, the active one included.
+ * @param {Object} activeTab - Chrome tab object
+ * @returns {Promise<Array>} Chrome tab objects, active tab first
+ */
+async function getWindowTabs(activeTab) {
+  // -1 is chrome.tabGroups.TAB_GROUP_ID_NONE, which needs the tabGroups permission
+  const query = activeTab.groupId !== undefined && activeTab.groupId !== -1
+    ? { groupId: activeTab.groupId }
+    : { windowId: activeTab.windowId };
+
+  const scriptable = (tab) => /^(https?|file):/.test(tab.url || '') &&
+    !/^https:\/\/(chromewebstore\.google\.com|chrome\.google\.com\/webstore)\//.test(tab.url) &&
+    !tab.discarded;
+  const tabs = (await chrome.tabs.query(query)).filter(tab => tab.id !== activeTab.id);
+
+  // Several tabs on the same URL only need one analysis
+  const seen = new Set();
+  return [activeTab, ...tabs]
+    .filter(scriptable)
+    .filter(tab => {
+      const key = Utils.normalizeUrl(tab.url);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, CONFIG.MAX_WINDOW_TABS);
+}
+
+/**
+ * Extract and analyze one tab of a whole-window analysis
+ * @param {Object} tab - Chrome tab object
+ * @returns {Promise<Object|null>} { tab, analysis }, or null if the tab has no readable text
+ */
+async function analyzeWindowTab(tab) {
+  try {
+    const pageContent = await extractPageContent(tab);
+    if (!pageContent?.text) return null;
+
+    pageContent.language = await LanguageService.detect(pageContent);
+    const analysis = await GeminiService.analyze(pageContent, pageContent.title || tab.title, tab.url, null);
+    return { tab, analysis };
+  } catch (error) {
+    console.warn(`Skipping tab "${tab.title}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Interleave keywords from each tab, so every tab gets searched even when
+ * the union is cut to the search limit
+ * @param {Array} tabResults - Results from analyzeWindowTab
+ * @returns {{keywords: string[], sources: Map<string, Array>}} Keywords and the tabs each came from
+ */
+function mergeTabKeywords(tabResults) {
+  const keywords = [];
+  const sources = new Map();
+  const byLowercase = new Map();
+  const longest = Math.max(...tabResults.map(r => r.analysis.keywords?.length || 0));
+
+  for (let i = 0; i < longest; i++) {
+    for (const { analysis, source } of tabResults) {
+      const keyword = analysis.keywords?.[i];
+      if (!keyword) continue;
+
+      const key = keyword.toLowerCase();
+      if (!byLowercase.has(key)) {
+        byLowercase.set(key, keyword);
+        keywords.push(keyword);
+        sources.set(keyword, []);
+      }
+      const tabSources = sources.get(byLowercase.get(key));
+      if (!tabSources.includes(source)) tabSources.push(source);
+    }
+  }
+
+  return { keywords, sources };
+}
+
+/**
+ * Analyze every tab in the current window (or the active tab's group) and
+ * show one merged market list, labelled with the tabs each event came from.
+ * Each tab's own slice is cached, so switching to it shows results instantly.
+ * Always uses the fixed pipeline; running the agent once per tab would be
+ * too slow.
+ */
+async function analyzeAllTabs() {
+  if (!AppState.hasRequiredApiKey()) {
+    UI.showError(LlmBackends.active().setupHint, false);
+    document.getElementById('settingsBtn').classList.add('highlight');
+    return;
+  }
+
+  try {
+    LivePriceFeed.close();
+    UI.hideError();
+    UI.hideResults();
+    UI.hideRefreshButton();
+    UI.hideFallbackNotice();
+    AppState.resetFallbackFlags();
+
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) {
+      throw new Error('No active tab found');
+    }
+
+    const tabs = await getWindowTabs(activeTab);
+    if (tabs.length === 0) {
+      throw new Error('No tabs in this window can be analyzed.');
+    }
+
+    UI.showLoading();
+    UI.resetProgress();
+
+    // Stages 1-2: Extract and analyze each tab
+    const tabResults = [];
+    let completed = 0;
+    UI.updateProgress('chrome', `Reading ${tabs.length} tabs...`);
+    for (let start = 0; start < tabs.length; start += CONFIG.TAB_ANALYSIS_CONCURRENCY) {
+      const batch = await Promise.all(tabs.slice(start, start + CONFIG.TAB_ANALYSIS_CONCURRENCY).map(async (tab) => {
+        const result = await analyzeWindowTab(tab);
+        completed++;
+        UI.updateProgress('gemini', `Analyzed ${completed} of ${tabs.length} tabs...`);
+        return result;
+      }));
+      tabResults.push(...batch.filter(Boolean));
+    }
+
+    if (tabResults.length === 0) {
+      throw new Error('Failed to extract page content. No readable text was found in any tab.');
+    }
+
+    for (const result of tabResults) {
+      result.source = { tabId: result.tab.id, title: result.tab.title, url: result.tab.url };
+    }
+
+    // Stage 3: Search the union of keywords, remembering which tabs asked for each
+    UI.updateProgress('polymarket', 'Searching prediction markets...');
+    const { keywords, sources } = mergeTabKeywords(tabResults);
+    const searchOutcome = await MarketProviders.search(keywords, {
+      limit: CONFIG.MAX_WINDOW_KEYWORDS_TO_SEARCH,
+      sources
+    });
+    const markets = searchOutcome.events;
+
+    // Stage 4: Filter against all tabs at once
+    UI.updateProgress('filter', 'Filtering results...');
+    const analysis = {
+      summary: tabResults.map(r => `${r.tab.title}: ${r.analysis.summary}`).join('\n'),
+      keywords: keywords.slice(0, CONFIG.MAX_WINDOW_KEYWORDS_TO_SEARCH)
+    };
+    const filteredMarkets = await GeminiService.filterEvents(markets, analysis);
+    const marketsWithHistory = await MarketProviders.enrichMarketData(filteredMarkets);
+
+    // Cache each tab's slice of the merged list under its own URL
+    await Promise.all(tabResults.map(({ tab, analysis: tabAnalysis, source }) => {
+      const slice = marketsWithHistory
+        .filter(event => event.sources?.includes(source))
+        .map(({ sources: _, ...event }) => event);
+      return CacheService.set(tab.url, { analysis: tabAnalysis, markets: slice });
+    }));
+
+    UI.displayResults(analysis, marketsWithHistory);
+    startLivePrices();
+    UI.showSearchFailures(searchOutcome);
+    UI.showRefreshButton();
+
+    if (AppState.fallbackUsed.analysis || AppState.fallbackUsed.filter) {
+      UI.showFallbackNotice();
+    }
+  } catch (error) {
+    console.error('Window analysis error:', error);
+    UI.hideFallbackNotice();
     UI.showError(error.message);
     UI.hideLoading();
   }
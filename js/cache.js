@@ -9,11 +9,11 @@ const CacheService = {
   /**
    * Get cached results for a URL
    * @param {string} url - Page URL
+   * @param {string} [scope] - Part of the page analyzed (e.g. a selection); omit for the full page
    * @returns {Promise<Object|null>} Cached data or null if expired/missing
    */
-  async get(url) {
-    const normalizedUrl = Utils.normalizeUrl(url);
-    const cacheKey = this.CACHE_KEY_PREFIX + this._hashUrl(normalizedUrl);
+  async get(url, scope) {
+    const cacheKey = this._cacheKey(Utils.normalizeUrl(url), scope);
 
     try {
       const result = await chrome.storage.local.get(cacheKey);
@@ -23,7 +23,7 @@ const CacheService = {
 
       // Check if expired
       if (Date.now() > cached.expiresAt) {
-        await this.clear(url);
+        await this.clear(url, scope);
         return null;
       }
 
@@ -38,10 +38,11 @@ const CacheService = {
    * Store results in cache
    * @param {string} url - Page URL
    * @param {Object} data - Data to cache (analysis and markets)
+   * @param {string} [scope] - Part of the page analyzed; omit for the full page
    */
-  async set(url, data) {
+  async set(url, data, scope) {
     const normalizedUrl = Utils.normalizeUrl(url);
-    const cacheKey = this.CACHE_KEY_PREFIX + this._hashUrl(normalizedUrl);
+    const cacheKey = this._cacheKey(normalizedUrl, scope);
 
     try {
       await chrome.storage.local.set({
@@ -60,10 +61,10 @@ const CacheService = {
   /**
    * Clear cache for a specific URL
    * @param {string} url - Page URL
+   * @param {string} [scope] - Part of the page analyzed; omit for the full page
    */
-  async clear(url) {
-    const normalizedUrl = Utils.normalizeUrl(url);
-    const cacheKey = this.CACHE_KEY_PREFIX + this._hashUrl(normalizedUrl);
+  async clear(url, scope) {
+    const cacheKey = this._cacheKey(Utils.normalizeUrl(url), scope);
 
     try {
       await chrome.storage.local.remove(cacheKey);
@@ -87,6 +88,15 @@ const CacheService = {
     }
   },
 
+  /**
+   * Build the storage key for a normalized URL and optional scope
+   * @private
+   */
+  _cacheKey(normalizedUrl, scope) {
+    const keySource = scope ? `${normalizedUrl}\n${scope}` : normalizedUrl;
+    return this.CACHE_KEY_PREFIX + this._hashUrl(keySource);
+  },
+
   /**
    * Simple hash function for URL to create cache key
    * @private
@@ -6,10 +6,51 @@ const CONFIG = {
   // Content extraction limits
   CONTENT_MAX_LENGTH: 5000,
   NANO_CONTENT_MAX_LENGTH: 3000,
+  DOCUMENT_MAX_LENGTH: 120000, // Upper bound for what gets extracted from the page (CHUNK_MAX_LENGTH * MAX_CHUNKS)
+  AGENT_CONTENT_MAX_LENGTH: 40000, // Long-context cloud models read this much directly
+
+  // Map-reduce analysis for documents longer than one prompt
+  // Chunk size is CHUNK_MAX_LENGTH (cloud) or NANO_CONTENT_MAX_LENGTH (Nano);
+  // anything up to one chunk is analyzed in a single prompt
+  CHUNK_MAX_LENGTH: 40000, // Sized like AGENT_CONTENT_MAX_LENGTH
+  MAX_CHUNKS: 3,
+  NANO_MAX_CHUNKS: 6,
+  CHUNK_CONCURRENCY: 3,
+  MAX_MERGED_KEYWORDS: 6,
+  MERGED_SUMMARY_MAX_LENGTH: 600, // Chunk summaries joined when the reduce step fails
+
+  // Whole-window / tab-group analysis
+  MAX_WINDOW_TABS: 10,
+  TAB_ANALYSIS_CONCURRENCY: 2,
 
   // Search and display limits
   MAX_KEYWORDS_TO_SEARCH: 5,
+  MAX_WINDOW_KEYWORDS_TO_SEARCH: 12, // Union of keywords across tabs
   MAX_MARKETS_TO_DISPLAY: 8,
+  MAX_RESOLVED_TO_DISPLAY: 4, // Shown separately, so they don't push out open markets
+  RESOLVED_MAX_ROWS: 5, // Markets listed per resolved event
+  PROMPT_DESCRIPTION_MAX_LENGTH: 300, // Resolution criteria per event in filter/agent prompts
+  NANO_PROMPT_DESCRIPTION_MAX_LENGTH: 100,
+  MARKET_SEARCH_LIMIT: 20, // Manual search results per query
+
+  // Market quality flags
+  ILLIQUID_LIQUIDITY_USD: 1000,
+  ILLIQUID_MAX_SPREAD: 0.1, // 10 points between best bid and ask
+  NEG_RISK_SUM_TOLERANCE: 10, // Points away from 100% before outcomes are flagged
+
+  // Order book depth and confidence
+  ORDER_BOOK_BATCH_SIZE: 50, // Token IDs per /books request
+  ORDER_BOOK_DEPTH_RANGE: 0.05, // Depth counts orders within 5 cents of the midpoint
+  CONFIDENCE_HIGH_MAX_SPREAD: 0.02,
+  CONFIDENCE_HIGH_MIN_DEPTH_USD: 5000,
+  CONFIDENCE_LOW_MIN_DEPTH_USD: 500, // Low confidence below this, or above ILLIQUID_MAX_SPREAD
+  DEPTH_CHART_WIDTH: 240,
+  DEPTH_CHART_HEIGHT: 56,
+
+  // Strike ladders and date series
+  LADDER_MIN_MARKETS: 3, // Markets with strikes before an event is shown as a distribution
+  DISTRIBUTION_CHART_WIDTH: 240,
+  DISTRIBUTION_CHART_HEIGHT: 56,
 
   // Cache settings
   CACHE_TTL_MS: 300000, // 5 minutes
@@ -22,15 +63,35 @@ const CONFIG = {
     '_ga', '_gl', 'mc_cid', 'mc_eid'
   ],
 
-  // Gemini API settings
+  // Generation settings, used with every LLM backend (FILTER_MODEL is Gemini's)
   GEMINI_TEMPERATURE: 0.7,
   GEMINI_MAX_TOKENS: 2048,
   FILTER_TEMPERATURE: 0.1,
   FILTER_MAX_TOKENS: 256,
   FILTER_MODEL: 'gemini-2.5-flash-lite',
 
+  // Embedding relevance ranking (see RelevanceRanker); thresholds are per backend
+  EMBEDDING_MODEL: 'gemini-embedding-001', // Gemini's; other backends set theirs in settings
+  EMBEDDING_DIMENSIONS: 768, // Gemini embeddings are truncated to this size
+  EMBEDDING_TEXT_MAX_LENGTH: 500, // Characters of event title and description embedded
+  EMBEDDING_BATCH_SIZE: 50, // Texts per embedding request
+  EMBEDDING_CACHE_TTL_MS: 604800000, // 7 days
+  EMBEDDING_CACHE_MAX_ENTRIES: 400,
+  RELEVANCE_TIE_MARGIN: 0.02, // Scores this close to a higher one count as a tie for the model to break
+
   // Nano settings
   NANO_TOP_K: 3,
+  NANO_LANGUAGES: ['en', 'es', 'ja'], // Languages the Prompt API accepts
+
+  // Language detection
+  LANGUAGE_DETECTION_SAMPLE_LENGTH: 2000,
+  LANGUAGE_DETECTION_MIN_CONFIDENCE: 0.5,
+
+  // Screenshots
+  SCREENSHOT_JPEG_QUALITY: 80,
+  SCREENSHOT_MAX_WIDTH: 1280, // Stitched and cropped images are scaled down to this
+  FULL_PAGE_SCREENSHOT_MAX_HEIGHT: 12000, // CSS pixels
+  SCREENSHOT_CAPTURE_INTERVAL_MS: 550, // captureVisibleTab allows 2 calls per second
 
   // Sparkline visualization
   SPARKLINE_WIDTH: 60,
@@ -38,50 +99,185 @@ const CONFIG = {
   SPARKLINE_SMALL_WIDTH: 40,
   SPARKLINE_SMALL_HEIGHT: 16,
 
+  // Price history ranges: API interval, point spacing (minutes) and span
+  PRICE_HISTORY_RANGES: {
+    '1d': { label: '1D', interval: '1d', fidelity: 5, spanMs: 86400000 },
+    '1w': { label: '1W', interval: '1w', fidelity: 60, spanMs: 604800000 },
+    '1m': { label: '1M', interval: '1m', fidelity: 240, spanMs: 2592000000 },
+    'all': { label: 'ALL', interval: 'max', fidelity: 1440, spanMs: Infinity }
+  },
+  DEFAULT_PRICE_RANGE: '1w', // Used for card sparklines and price change
+  PRICE_HISTORY_MIN_POINTS: 20, // A cached longer range is sliced for a shorter one if it has this many points
+  PRICE_CHART_WIDTH: 300,
+  PRICE_CHART_HEIGHT: 140,
+  PRICE_CHART_MAX_SERIES: 4, // Outcomes overlaid on one chart
+
+  // Price movement, in percentage points
+  MOVEMENT_WINDOWS: { '1h': 3600, '24h': 86400, '7d': 604800 }, // Seconds
+  MOVEMENT_WINDOW_SLACK: 0.1, // History may start this fraction of a window late
+  MOVEMENT_MIN_BASELINE_STEPS: 24, // Price steps before the last day needed to judge a move
+  UNUSUAL_MOVE_SIGMA: 3, // Times the market's usual volatility over the window
+  UNUSUAL_MOVE_MIN_POINTS: 3,
+
   // Colors
   COLOR_TREND_UP: '#22c55e',
   COLOR_TREND_DOWN: '#ef4444',
 
+  // Market API request scheduling
+  REQUEST_CONCURRENCY: 4,
+  REQUEST_MAX_RETRIES: 3,
+  REQUEST_BACKOFF_BASE_MS: 500,
+  REQUEST_MAX_RETRY_DELAY_MS: 10000,
+
+  // Market providers
+  DEFAULT_MARKET_PROVIDERS: Object.freeze(['polymarket']),
+  PROVIDER_RESULTS_PER_KEYWORD: 10,
+  RESOLVED_RESULTS_PER_KEYWORD: 3, // When resolved markets are included
+  KALSHI_CATALOG_PAGE_SIZE: 200,
+  KALSHI_CATALOG_MAX_PAGES: 10,
+  KALSHI_FULL_HISTORY_DAYS: 1095,
+  MANIFOLD_MAX_BETS: 1000,
+  MANIFOLD_MAX_ANSWERS: 10,
+  MANIFOLD_ILLIQUID_LIQUIDITY: 100, // Mana
+
+  // Live price updates
+  LIVE_PING_INTERVAL_MS: 10000,
+  LIVE_RECONNECT_BASE_MS: 1000,
+  LIVE_RECONNECT_MAX_MS: 30000,
+
   // API endpoints
   GEMINI_API_BASE: 'https://generativelanguage.googleapis.com/v1beta/models',
+  OPENAI_API_BASE: 'https://api.openai.com/v1', // Default for OpenAI-compatible backends
+  OLLAMA_API_BASE: 'http://localhost:11434',
   POLYMARKET_SEARCH_API: 'https://gamma-api.polymarket.com/public-search',
+  POLYMARKET_EVENTS_API: 'https://gamma-api.polymarket.com/events',
   POLYMARKET_PRICE_HISTORY_API: 'https://clob.polymarket.com/prices-history',
+  POLYMARKET_BOOKS_API: 'https://clob.polymarket.com/books',
+  POLYMARKET_MARKET_WS: 'wss://ws-subscriptions-clob.polymarket.com/ws/market',
+  KALSHI_API: 'https://api.elections.kalshi.com/trade-api/v2',
+  MANIFOLD_API: 'https://api.manifold.markets/v0',
 
   // Progress stages
   STAGES: ['chrome', 'gemini', 'polymarket', 'filter'],
 
+  // JSON Schemas for model responses: enforced by the cloud API (responseSchema)
+  // and Nano (responseConstraint), and checked by Utils.parseJsonResponse
+  RESPONSE_SCHEMAS: {
+    analysis: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        keywords: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        language: { type: 'string' }
+      },
+      required: ['summary', 'keywords']
+    },
+    chunk: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        keywords: { type: 'array', items: { type: 'string' } },
+        entities: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['summary', 'keywords']
+    },
+    // 1-based event numbers, most relevant first
+    filter: { type: 'array', items: { type: 'integer' } },
+    agent: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        keywords: { type: 'array', items: { type: 'string' } },
+        relevant_event_ids: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['summary', 'keywords', 'relevant_event_ids']
+    }
+  },
+
   // Agent mode settings
   AGENT_MAX_ITERATIONS: 20,
-  AGENT_MAX_SEARCHES: 8,
+  AGENT_MAX_SEARCHES: 8, // search_markets queries
+  AGENT_MAX_EVENT_SEARCHES: 4, // search_events calls
+  AGENT_MAX_DETAIL_LOOKUPS: 12, // Events looked up with get_market_details
+  AGENT_MAX_HISTORY_LOOKUPS: 6, // get_price_history calls
+  AGENT_DETAILS_DESCRIPTION_MAX_LENGTH: 1500, // Characters of resolution rules per event
+  AGENT_HISTORY_MAX_MARKETS: 4, // Most likely markets of an event given price history
+  AGENT_HISTORY_POINTS: 12, // Evenly spaced points per market's price history
   AGENT_TEMPERATURE: 0.7,
   AGENT_MAX_TOKENS: 65536,
 
-  AGENT_TOOL_DECLARATION: {
-    functionDeclarations: [{
-      name: 'search_polymarket',
-      description: 'Search Polymarket prediction markets using one or more search queries. Results are automatically deduplicated across queries.',
-      parameters: {
-        type: 'OBJECT',
-        properties: {
-          queries: {
-            type: 'ARRAY',
-            description: 'Array of 1-5 search queries for prediction markets. Each query should target different aspects of the content.',
-            items: { type: 'STRING' }
-          }
+  // Tools the agent can call; parameters are JSON Schemas, which each LLM backend
+  // converts to its own function-calling format
+  AGENT_TOOLS: [{
+    name: 'search_markets',
+    description: 'Search prediction markets on every venue enabled by the user (Polymarket, Kalshi, Manifold) using one or more search queries. Results are automatically deduplicated across queries.',
+    parameters: {
+      type: 'object',
+      properties: {
+        queries: {
+          type: 'array',
+          description: 'Array of 1-5 search queries for prediction markets. Each query should target different aspects of the content.',
+          items: { type: 'string' }
+        }
+      },
+      required: ['queries']
+    }
+  }, {
+    name: 'search_events',
+    description: 'Browse events on the enabled venues by category, end-date window and minimum volume, optionally narrowed by a search query. Use it to find markets resolving in a particular time frame. Venues ignore filters they do not support.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Optional search query' },
+        tag: {
+          type: 'string',
+          description: 'Category',
+          enum: ['politics', 'elections', 'geopolitics', 'economy', 'business', 'crypto', 'tech', 'sports', 'pop-culture', 'science']
         },
-        required: ['queries']
+        end_date_min: { type: 'string', description: 'Only events ending on or after this date (YYYY-MM-DD)' },
+        end_date_max: { type: 'string', description: 'Only events ending on or before this date (YYYY-MM-DD)' },
+        min_volume: { type: 'number', description: 'Minimum total volume traded, in the venue\'s currency (USD on Polymarket and Kalshi)' },
+        status: { type: 'string', description: 'Open events (default) or resolved ones', enum: ['active', 'closed'] }
       }
-    }]
-  },
+    }
+  }, {
+    name: 'get_market_details',
+    description: 'Get full details of events found by earlier searches: resolution rules and source, end dates, volume, liquidity and order book spread of each market.',
+    parameters: {
+      type: 'object',
+      properties: {
+        event_ids: {
+          type: 'array',
+          description: 'eventId values from search results',
+          items: { type: 'string' }
+        }
+      },
+      required: ['event_ids']
+    }
+  }, {
+    name: 'get_price_history',
+    description: 'Get how the probabilities of an event\'s most likely markets moved over a time range, as evenly spaced points with the low and high.',
+    parameters: {
+      type: 'object',
+      properties: {
+        event_id: { type: 'string', description: 'eventId from search results' },
+        range: { type: 'string', description: 'Time range (default 1w)', enum: ['1d', '1w', '1m', 'all'] }
+      },
+      required: ['event_id']
+    }
+  }],
 
   AGENT_SYSTEM_PROMPT: `You are a prediction market analyst. Given a web page's content:
 1. Understand what the page is about
 2. Identify 3-5 diverse search queries covering different aspects of the content
-3. Call search_polymarket once with all your queries
-4. If results are poor, try again with different/refined queries
-5. Return your final analysis
+3. Call search_markets once with all your queries
+4. If results are poor, try again with different/refined queries, or browse with search_events by category, end date and volume
+5. Check promising events: get_market_details gives their full resolution rules and liquidity, and get_price_history shows how their odds moved
+6. Return your final analysis
+
+Search results include each event's end date and how it resolves. Prefer markets that resolve on the question and time frame the page is about. Reject markets that resolve before the event the page is about, and markets with no liquidity. Each tool has a budget, and says so when it runs out.
 
-You MUST call search_polymarket at least once with an array of 3-5 queries. When done, respond with JSON (no tool calls):
+You MUST call search_markets at least once with an array of 3-5 queries. When done, respond with JSON (no tool calls):
 {
   "summary": "2-3 sentence summary",
   "keywords": ["keyword1", "keyword2", ...],
@@ -93,3 +289,8 @@ List up to 8 most relevant eventId values, ordered by relevance.`
 // Freeze to prevent accidental modification
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.STAGES);
+Object.freeze(CONFIG.RESPONSE_SCHEMAS);
+Object.freeze(CONFIG.AGENT_TOOLS);
+Object.freeze(CONFIG.NANO_LANGUAGES);
+Object.freeze(CONFIG.PRICE_HISTORY_RANGES);
+Object.values(CONFIG.PRICE_HISTORY_RANGES).forEach(Object.freeze);
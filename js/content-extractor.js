@@ -0,0 +1,419 @@
+/**
+ * Article content extraction engine
+ * Injected into the inspected tab via chrome.scripting.executeScript, and
+ * loaded in the side panel to read pages fetched in the background.
+ * Scores content blocks Readability-style, strips boilerplate and walks
+ * open shadow roots and same-origin iframes.
+ */
+
+// Declared with `var` so the file can be injected more than once per tab
+var ContentExtractor = {
+  // Elements that never contain article content. Forms are kept: ASP.NET
+  // WebForms and some CMS templates wrap the whole page in one.
+  SKIP_TAGS: new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'VIDEO', 'AUDIO',
+    'NAV', 'HEADER', 'FOOTER', 'ASIDE', 'BUTTON', 'SELECT', 'INPUT',
+    'TEXTAREA', 'DIALOG', 'OBJECT', 'EMBED'
+  ]),
+
+  // Block-level elements treated as paragraphs when scoring
+  PARAGRAPH_TAGS: new Set(['P', 'PRE', 'BLOCKQUOTE', 'LI', 'TD', 'DD', 'H2', 'H3', 'H4']),
+
+  SKIP_ROLES: new Set([
+    'navigation', 'banner', 'contentinfo', 'complementary', 'search', 'menu',
+    'menubar', 'dialog', 'alertdialog', 'toolbar'
+  ]),
+
+  // class/id hints, adapted from Mozilla Readability
+  NEGATIVE_PATTERN: /(^|[-_\s])(ad|ads|advert|banner|breadcrumb|comment|consent|cookie|footer|gdpr|menu|modal|nav|newsletter|outbrain|paywall|popup|promo|recirc|related|share|sharing|sidebar|social|sponsor|subscribe|taboola|trending|widget)s?([-_\s]|$)/i,
+  POSITIVE_PATTERN: /article|body|content|entry|main|page|post|story|text/i,
+
+  // Parent gets the full paragraph score, grandparent half, then a sixth
+  ANCESTOR_DIVIDERS: [1, 2, 6],
+
+  MIN_PARAGRAPH_LENGTH: 25,
+  LEAD_PARAGRAPHS: 3,
+
+  /**
+   * Extract the main article from a document
+   * @param {number} maxLength - Maximum length of the returned text
+   * @param {Document} [doc] - Document to read; defaults to the page (a parsed
+   *   document from DOMParser also works, minus computed styles)
+   * @param {string} [url] - Document URL, needed for parsed documents
+   * @returns {Promise<{title: string, description: string, text: string, headline: string, byline: string, metadata: Object}>}
+   */
+  async extract(maxLength, doc = document, url = doc.URL) {
+    const metadata = this.extractMetadata(doc);
+
+    // Social, video and aggregator pages have dedicated extractors
+    const siteExtractor = typeof SiteExtractors !== 'undefined' ? SiteExtractors.find(new URL(url).hostname) : null;
+    if (siteExtractor) {
+      try {
+        const site = await siteExtractor(doc, url);
+        if (site?.text) {
+          return { ...site, text: site.text.substring(0, maxLength), headline: site.title, byline: '', metadata, lang: this._pageLang(doc) };
+        }
+      } catch (error) {
+        console.warn('Site extractor failed, using generic extraction:', error);
+      }
+    }
+
+    const title = doc.title;
+    const description = doc.querySelector('meta[name="description"]')?.content || metadata.description;
+    const headline = this._findHeadline(doc) || metadata.headline;
+    const byline = this._findByline(doc) || metadata.author;
+
+    const paragraphs = [];
+    this._collectParagraphs(doc.body, paragraphs);
+
+    const candidate = this._pickTopCandidate(paragraphs);
+    let body;
+    if (candidate) {
+      const kept = paragraphs
+        .filter(p => this._isWithin(p.element, candidate.element) && p.linkDensity < 0.5)
+        .map(p => p.text);
+      body = this._orderLeadFirst(kept).join('\n\n');
+    } else {
+      // No scorable blocks (e.g. app-like pages) - keep the old behaviour
+      body = (doc.body?.innerText || doc.body?.textContent || '').trim();
+    }
+
+    const header = [headline, byline ? `By ${byline}` : ''].filter(Boolean).join('\n');
+    const text = (header ? `${header}\n\n${body}` : body).substring(0, maxLength);
+
+    return { title, description, text, headline, byline, metadata, lang: this._pageLang(doc) };
+  },
+
+  /**
+   * Declared page language (`<html lang>` or og:locale)
+   * @private
+   */
+  _pageLang(doc) {
+    return doc.documentElement?.lang || doc.querySelector('meta[property="og:locale"]')?.content || '';
+  },
+
+  // schema.org types harvested from JSON-LD
+  ARTICLE_TYPES: new Set(['NewsArticle', 'Article', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'BlogPosting', 'LiveBlogPosting', 'Report']),
+  EVENT_TYPES: new Set(['Event', 'SportsEvent', 'PublicationEvent', 'BroadcastEvent']),
+
+  /**
+   * Harvest structured metadata from JSON-LD, OpenGraph and Twitter cards
+   * JSON-LD wins over OpenGraph, which wins over Twitter and plain meta tags.
+   * @returns {{type: string, headline: string, description: string, siteName: string,
+   *   publishedTime: string, modifiedTime: string, author: string, section: string,
+   *   keywords: string[], events: Array<{type: string, name: string, startDate: string,
+   *   endDate: string, location: string, competitors: string[]}>}}
+   * @param {Document} [doc] - Document to read; defaults to the page
+   */
+  extractMetadata(doc = document) {
+    const meta = (...names) => {
+      for (const name of names) {
+        const el = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        if (el?.content?.trim()) return el.content.trim();
+      }
+      return '';
+    };
+
+    const nodes = this._readJsonLd(doc);
+    const article = nodes.find(n => this._schemaTypes(n).some(t => this.ARTICLE_TYPES.has(t))) || {};
+    const events = nodes
+      .filter(n => this._schemaTypes(n).some(t => this.EVENT_TYPES.has(t)))
+      .map(n => ({
+        type: this._schemaTypes(n)[0],
+        name: this._schemaText(n.name),
+        startDate: this._schemaText(n.startDate),
+        endDate: this._schemaText(n.endDate),
+        location: this._schemaText(n.location),
+        competitors: [n.homeTeam, n.awayTeam, n.competitor]
+          .flat()
+          .map(c => this._schemaText(c))
+          .filter(Boolean)
+      }))
+      .filter(e => e.name);
+
+    const keywords = article.keywords || meta('news_keywords', 'keywords', 'article:tag');
+
+    return {
+      type: this._schemaTypes(article)[0] || meta('og:type'),
+      headline: this._schemaText(article.headline) || meta('og:title', 'twitter:title'),
+      description: this._schemaText(article.description) || meta('og:description', 'twitter:description', 'description'),
+      siteName: this._schemaText(article.publisher) || meta('og:site_name', 'application-name'),
+      publishedTime: this._schemaText(article.datePublished) || meta('article:published_time', 'og:published_time', 'date', 'pubdate'),
+      modifiedTime: this._schemaText(article.dateModified) || meta('article:modified_time', 'og:updated_time'),
+      author: this._schemaText(article.author) || meta('article:author', 'author', 'twitter:creator'),
+      section: this._schemaText(article.articleSection) || meta('article:section'),
+      keywords: (Array.isArray(keywords) ? keywords : String(keywords).split(','))
+        .map(k => String(k).trim())
+        .filter(Boolean)
+        .slice(0, 15),
+      events
+    };
+  },
+
+  /**
+   * Parse every JSON-LD block into a flat list of schema.org nodes
+   * @private
+   */
+  _readJsonLd(doc) {
+    const nodes = [];
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+      } else if (node && typeof node === 'object') {
+        if (node['@graph']) visit(node['@graph']);
+        if (node['@type']) nodes.push(node);
+        // Events are often nested, e.g. an article's `about` or `mainEntity`
+        ['about', 'mainEntity', 'subjectOf'].forEach(key => visit(node[key]));
+      }
+    };
+
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        visit(JSON.parse(script.textContent));
+      } catch (e) {
+        // Sites ship invalid JSON-LD surprisingly often; ignore the block
+      }
+    }
+    return nodes;
+  },
+
+  /**
+   * Normalize a node's @type to an array
+   * @private
+   */
+  _schemaTypes(node) {
+    const type = node['@type'];
+    if (!type) return [];
+    return Array.isArray(type) ? type : [type];
+  },
+
+  /**
+   * Flatten a schema.org value (string, Person, Place, array) to text
+   * @private
+   */
+  _schemaText(value) {
+    if (!value) return '';
+    if (Array.isArray(value)) {
+      return value.map(v => this._schemaText(v)).filter(Boolean).join(', ');
+    }
+    if (typeof value === 'object') {
+      return this._schemaText(value.name || value.address?.addressLocality || value['@value'] || '');
+    }
+    return String(value).trim();
+  },
+
+  /**
+   * Find the article headline
+   * @private
+   */
+  _findHeadline(doc) {
+    const h1s = this._queryAllDeep(doc, 'h1')
+      .map(h => this._cleanText(h.textContent))
+      .filter(t => t.length > 10);
+    if (h1s.length > 0) return h1s[0];
+    return doc.querySelector('meta[property="og:title"]')?.content?.trim() || '';
+  },
+
+  /**
+   * Find the article byline
+   * @private
+   */
+  _findByline(doc) {
+    const selectors = ['[rel="author"]', '[itemprop="author"]', '.byline', '[class*="byline"]', '[class*="author-name"]'];
+    for (const selector of selectors) {
+      const el = doc.querySelector(selector);
+      const text = el ? this._cleanText(el.textContent) : '';
+      if (text && text.length < 100) return text.replace(/^by\s+/i, '');
+    }
+    return doc.querySelector('meta[name="author"]')?.content?.trim() || '';
+  },
+
+  /**
+   * Walk the DOM (including shadow roots and same-origin iframes) and
+   * collect paragraph-like blocks in document order
+   * @private
+   */
+  _collectParagraphs(root, out) {
+    if (!root) return;
+
+    for (const el of this._childElements(root)) {
+      if (this._isBoilerplate(el)) continue;
+
+      if (this.PARAGRAPH_TAGS.has(el.tagName)) {
+        const text = this._cleanText(el.innerText || el.textContent);
+        if (text.length >= this.MIN_PARAGRAPH_LENGTH) {
+          out.push({ element: el, text, linkDensity: this._linkDensity(el, text) });
+        }
+        // Lists and quotes may hold nested blocks; paragraphs never do
+        if (el.tagName === 'P') continue;
+      }
+
+      this._collectParagraphs(el, out);
+    }
+  },
+
+  /**
+   * Children of an element, descending into open shadow roots and
+   * same-origin iframe documents
+   * @private
+   */
+  _childElements(el) {
+    if (el.tagName === 'IFRAME') {
+      try {
+        const body = el.contentDocument?.body;
+        return body ? [body] : [];
+      } catch (e) {
+        return []; // Cross-origin
+      }
+    }
+    const children = Array.from(el.children || []);
+    if (el.shadowRoot) {
+      children.push(...el.shadowRoot.children);
+    }
+    return children;
+  },
+
+  /**
+   * Check whether an element is site chrome rather than content
+   * @private
+   */
+  _isBoilerplate(el) {
+    if (this.SKIP_TAGS.has(el.tagName.toUpperCase())) return true; // SVG tags are lowercase
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+    if (this.SKIP_ROLES.has(el.getAttribute('role'))) return true;
+
+    const hint = `${el.className && typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    if (this.NEGATIVE_PATTERN.test(hint) && !this.POSITIVE_PATTERN.test(hint)) return true;
+
+    const style = el.ownerDocument.defaultView?.getComputedStyle(el);
+    return Boolean(style && (style.display === 'none' || style.visibility === 'hidden'));
+  },
+
+  /**
+   * Score ancestors of each paragraph and return the best container
+   * @private
+   */
+  _pickTopCandidate(paragraphs) {
+    const scores = new Map();
+
+    for (const p of paragraphs) {
+      // One point per paragraph, per comma and per 100 chars (max 3)
+      const commas = p.text.split(/[,，、]/).length - 1;
+      const score = 1 + commas + Math.min(Math.floor(p.text.length / 100), 3);
+
+      let ancestor = this._parentOf(p.element);
+      for (let level = 0; ancestor && level < this.ANCESTOR_DIVIDERS.length; level++) {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, this._classWeight(ancestor));
+        }
+        scores.set(ancestor, scores.get(ancestor) + score / this.ANCESTOR_DIVIDERS[level]);
+        ancestor = this._parentOf(ancestor);
+      }
+    }
+
+    // Discount link-heavy containers (navigation, related-article lists)
+    const adjusted = new Map();
+    let best = null;
+    for (const [element, score] of scores) {
+      const text = this._cleanText(element.innerText || element.textContent);
+      adjusted.set(element, score * (1 - this._linkDensity(element, text)));
+      if (!best || adjusted.get(element) > best.score) {
+        best = { element, score: adjusted.get(element) };
+      }
+    }
+
+    if (!best) return null;
+
+    // Articles are often split into sibling sections; climb while the
+    // parent does not dilute the score much
+    let parent = this._parentOf(best.element);
+    while (parent && adjusted.has(parent) && adjusted.get(parent) >= best.score * 0.75) {
+      best = { element: parent, score: adjusted.get(parent) };
+      parent = this._parentOf(parent);
+    }
+
+    return best;
+  },
+
+  /**
+   * Bias score by class/id naming
+   * @private
+   */
+  _classWeight(el) {
+    const hint = `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+    let weight = 0;
+    if (this.POSITIVE_PATTERN.test(hint)) weight += 25;
+    if (this.NEGATIVE_PATTERN.test(hint)) weight -= 25;
+    if (el.tagName === 'ARTICLE' || el.tagName === 'MAIN') weight += 25;
+    return weight;
+  },
+
+  /**
+   * Put lead paragraphs first, then the rest in document order
+   * Skips short standalone headings at the very top (kickers, section labels).
+   * @private
+   */
+  _orderLeadFirst(texts) {
+    const start = texts.findIndex(t => t.length >= 80);
+    if (start <= 0) return texts;
+    const lead = texts.slice(start, start + this.LEAD_PARAGRAPHS);
+    return [...lead, ...texts.slice(0, start), ...texts.slice(start + this.LEAD_PARAGRAPHS)];
+  },
+
+  /**
+   * Ratio of link text to total text
+   * @private
+   */
+  _linkDensity(el, text) {
+    if (!text) return 0;
+    let linkLength = 0;
+    for (const a of el.querySelectorAll('a')) {
+      linkLength += (a.textContent || '').trim().length;
+    }
+    return Math.min(linkLength / text.length, 1);
+  },
+
+  /**
+   * Parent element, crossing shadow root and iframe boundaries
+   * @private
+   */
+  _parentOf(el) {
+    if (el.parentElement) return el.parentElement;
+    const root = el.getRootNode?.();
+    if (root && root.host) return root.host;
+    return el.ownerDocument?.defaultView?.frameElement || null;
+  },
+
+  /**
+   * Check ancestry across shadow roots and iframes
+   * @private
+   */
+  _isWithin(el, container) {
+    for (let node = el; node; node = this._parentOf(node)) {
+      if (node === container) return true;
+    }
+    return false;
+  },
+
+  /**
+   * querySelectorAll that also searches open shadow roots
+   * @private
+   */
+  _queryAllDeep(root, selector) {
+    const results = Array.from(root.querySelectorAll(selector));
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) {
+        results.push(...this._queryAllDeep(el.shadowRoot, selector));
+      }
+    }
+    return results;
+  },
+
+  /**
+   * Collapse whitespace
+   * @private
+   */
+  _cleanText(text) {
+    return (text || '').replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  }
+};
@@ -0,0 +1,111 @@
+/**
+ * Language detection and translation
+ * Uses Chrome's built-in LanguageDetector and Translator APIs when present.
+ * Without them, the cloud model detects the language itself (see
+ * GeminiService.buildLanguageInstructions).
+ */
+
+const LanguageService = {
+  /**
+   * Detect the page language
+   * Prefers on-device detection over the page's lang attribute, which CMS
+   * templates often leave at "en" regardless of content.
+   * @param {Object} pageContent - Extracted page content
+   * @returns {Promise<string|null>} ISO 639-1 code, or null if unknown
+   */
+  async detect(pageContent) {
+    const sample = `${pageContent.title || ''}\n${pageContent.text || ''}`.substring(0, CONFIG.LANGUAGE_DETECTION_SAMPLE_LENGTH);
+
+    try {
+      if (typeof LanguageDetector !== 'undefined' && sample.trim()) {
+        const detector = await LanguageDetector.create();
+        try {
+          const [top] = await detector.detect(sample);
+          if (top && top.detectedLanguage !== 'und' && top.confidence >= CONFIG.LANGUAGE_DETECTION_MIN_CONFIDENCE) {
+            return this._primarySubtag(top.detectedLanguage);
+          }
+        } finally {
+          detector.destroy();
+        }
+      }
+    } catch (e) {
+      console.log('Language detection not available:', e.message);
+    }
+
+    return pageContent.lang ? this._primarySubtag(pageContent.lang) : null;
+  },
+
+  /**
+   * Translate short texts (e.g. keywords) to English on-device
+   * Returns the input unchanged when translation isn't possible.
+   * @param {string[]} texts - Texts to translate
+   * @param {string|null} sourceLanguage - ISO 639-1 code of the texts
+   * @returns {Promise<string[]>} Translated texts
+   */
+  async translateToEnglish(texts, sourceLanguage) {
+    if (!sourceLanguage || sourceLanguage === 'en' || texts.length === 0) return texts;
+
+    try {
+      if (typeof Translator === 'undefined') return texts;
+
+      const options = { sourceLanguage, targetLanguage: 'en' };
+      if (await Translator.availability(options) === 'unavailable') return texts;
+
+      const translator = await Translator.create(options);
+      try {
+        return await Promise.all(texts.map(text => translator.translate(text)));
+      } finally {
+        translator.destroy();
+      }
+    } catch (e) {
+      console.warn('Keyword translation failed, using original keywords:', e.message);
+      return texts;
+    }
+  },
+
+  /**
+   * Language the summary should be written in
+   * @param {string|null} pageLanguage - Detected page language
+   * @returns {string|null} ISO 639-1 code, or null for "same as page" when unknown
+   */
+  getSummaryLanguage(pageLanguage) {
+    if (AppState.summaryLanguage && AppState.summaryLanguage !== 'page') {
+      return AppState.summaryLanguage;
+    }
+    return pageLanguage || null;
+  },
+
+  /**
+   * English display name for a language code
+   * @param {string} code - ISO 639-1 code
+   * @returns {string} e.g. "Spanish"
+   */
+  languageName(code) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (e) {
+      return code;
+    }
+  },
+
+  /**
+   * Languages to declare for a Nano session, limited to those it supports
+   * @param {...(string|null)} languages - Wanted languages
+   * @returns {string[]} Supported subset, always including English
+   */
+  nanoLanguages(...languages) {
+    const wanted = ['en', ...languages.filter(Boolean)];
+    return [...new Set(wanted)].filter(lang => CONFIG.NANO_LANGUAGES.includes(lang));
+  },
+
+  /**
+   * "zh-Hant-TW" -> "zh"
+   * @private
+   */
+  _primarySubtag(tag) {
+    return tag.toLowerCase().split(/[-_]/)[0];
+  }
+};
+
+// Freeze public interface
+Object.freeze(LanguageService);
@@ -0,0 +1,156 @@
+/**
+ * Live prices from the Polymarket CLOB market WebSocket channel
+ * Tracks best bid/ask and last trade per token and reports the price
+ * Polymarket displays: the midpoint, or the last trade when the spread is wide.
+ */
+
+const LivePriceFeed = {
+  // Mutable connection state (the service object itself is frozen)
+  _state: {
+    socket: null,
+    tokenIds: [],
+    onPrice: null,
+    attempts: 0,
+    reconnectTimer: null,
+    pingTimer: null,
+    books: new Map() // tokenId -> { bestBid, bestAsk, lastTrade, price }
+  },
+
+  /**
+   * Subscribe to price updates, replacing any current subscription
+   * @param {string[]} tokenIds - CLOB token IDs to watch
+   * @param {Function} onPrice - Callback: (tokenId, price) with price from 0 to 1
+   */
+  connect(tokenIds, onPrice) {
+    this.close();
+    const ids = [...new Set(tokenIds.filter(Boolean))];
+    if (ids.length === 0) return;
+
+    Object.assign(this._state, { tokenIds: ids, onPrice, attempts: 0 });
+    this._open();
+  },
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  close() {
+    const state = this._state;
+    clearTimeout(state.reconnectTimer);
+    clearInterval(state.pingTimer);
+    if (state.socket) {
+      state.socket.onclose = null;
+      state.socket.close();
+    }
+    Object.assign(state, { socket: null, tokenIds: [], onPrice: null, reconnectTimer: null, pingTimer: null });
+    state.books.clear();
+  },
+
+  /**
+   * Whether a subscription is active (connected or reconnecting)
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._state.tokenIds.length > 0;
+  },
+
+  /**
+   * @private
+   */
+  _open() {
+    const state = this._state;
+    const socket = new WebSocket(CONFIG.POLYMARKET_MARKET_WS);
+    state.socket = socket;
+
+    socket.onopen = () => {
+      state.attempts = 0;
+      socket.send(JSON.stringify({ type: 'market', assets_ids: state.tokenIds }));
+      // The server drops connections that go quiet
+      state.pingTimer = setInterval(() => socket.send('PING'), CONFIG.LIVE_PING_INTERVAL_MS);
+    };
+
+    socket.onmessage = (message) => {
+      if (message.data === 'PONG') return;
+      try {
+        const data = JSON.parse(message.data);
+        (Array.isArray(data) ? data : [data]).forEach(event => this._handleEvent(event));
+      } catch (e) {
+        console.warn('Unreadable live price message:', e.message);
+      }
+    };
+
+    socket.onclose = () => {
+      clearInterval(state.pingTimer);
+      this._scheduleReconnect();
+    };
+
+    socket.onerror = () => {
+      // onclose follows and handles the reconnect
+      console.warn('Live price connection error');
+    };
+  },
+
+  /**
+   * Reconnect with exponential backoff and jitter
+   * @private
+   */
+  _scheduleReconnect() {
+    const state = this._state;
+    if (state.tokenIds.length === 0) return;
+
+    const delay = Math.min(CONFIG.LIVE_RECONNECT_BASE_MS * 2 ** state.attempts, CONFIG.LIVE_RECONNECT_MAX_MS);
+    state.attempts++;
+    state.reconnectTimer = setTimeout(() => this._open(), delay / 2 + Math.random() * delay / 2);
+  },
+
+  /**
+   * Update tracked prices from one channel event
+   * @private
+   */
+  _handleEvent(event) {
+    if (event.event_type === 'book') {
+      const bids = (event.bids || []).map(o => parseFloat(o.price));
+      const asks = (event.asks || []).map(o => parseFloat(o.price));
+      this._update(event.asset_id, {
+        bestBid: bids.length ? Math.max(...bids) : null,
+        bestAsk: asks.length ? Math.min(...asks) : null
+      });
+    } else if (event.event_type === 'price_change') {
+      for (const change of (event.price_changes || [])) {
+        if (change.best_bid === undefined && change.best_ask === undefined) continue;
+        this._update(change.asset_id, {
+          bestBid: parseFloat(change.best_bid) || null,
+          bestAsk: parseFloat(change.best_ask) || null
+        });
+      }
+    } else if (event.event_type === 'last_trade_price') {
+      this._update(event.asset_id, { lastTrade: parseFloat(event.price) });
+    }
+  },
+
+  /**
+   * Recompute a token's displayed price and report it if it changed
+   * @private
+   */
+  _update(tokenId, changes) {
+    const state = this._state;
+    if (!state.tokenIds.includes(tokenId)) return;
+
+    const book = { ...(state.books.get(tokenId) || {}), ...changes };
+    const { bestBid, bestAsk, lastTrade } = book;
+    const hasBoth = bestBid != null && bestAsk != null;
+
+    const price = hasBoth && bestAsk - bestBid <= CONFIG.ILLIQUID_MAX_SPREAD
+      ? (bestBid + bestAsk) / 2
+      : (lastTrade ?? book.price);
+    const previous = book.price;
+    book.price = price;
+    state.books.set(tokenId, book);
+
+    if (price != null && !Number.isNaN(price) && price !== previous) {
+      state.onPrice(tokenId, price);
+    }
+  }
+};
+
+// Freeze public interface
+Object.freeze(LivePriceFeed);
@@ -0,0 +1,94 @@
+/**
+ * LLM backends
+ * Picks the service that runs cloud or server models for analysis, filtering
+ * and the agent. Gemini Nano runs in the browser and stays in GeminiService.
+ *
+ * Every backend (GeminiBackend, OpenAiBackend, OllamaBackend) implements:
+ *   id, name            - Backend key and display name
+ *   setupHint           - Message shown when it isn't configured yet
+ *   retryWithoutImage   - Whether to retry a failed request without its screenshot,
+ *                         since many models served locally only take text
+ *   defaultRelevanceThreshold - Cosine similarity below which events are dropped,
+ *                         unless set in settings; each embedding model scores differently
+ *   maxOutputTokens     - Largest output limit its models accept; callers cap
+ *                         maxTokens to it
+ *   isConfigured() -> boolean
+ *   model(task) -> model name for a task: 'analysis' | 'filter' | 'agent'
+ *   embeddingModel() -> model name for embeddings, or null if there is none
+ *   generate({prompt, image, schema, model, temperature, maxTokens, onText}) -> Promise<string>
+ *     One prompt (and optional base64 JPEG). With a JSON Schema, output is constrained
+ *     to it where the backend supports that; with onText, the response streams and
+ *     onText gets the text so far. Throws on failure.
+ *   chat({system, messages, tools, model, temperature, maxTokens})
+ *     -> Promise<{text, toolCalls: [{id, name, args}], message}>
+ *     One function-calling turn. `tools` are CONFIG.AGENT_TOOLS entries. Messages are
+ *     {role: 'user', text, image}, an earlier reply's `message`, or
+ *     {role: 'tool', toolCallId, name, result} answering one of its toolCalls.
+ *   embed({texts, model, purpose}) -> Promise<Array<number[]>>
+ *     One vector per text. `purpose` is 'query' (the page) or 'document' (an event),
+ *     for backends whose models embed the two differently.
+ */
+
+const LlmBackends = {
+  /**
+   * All backends, in display order
+   * @returns {Array<Object>}
+   */
+  all() {
+    return [GeminiBackend, OpenAiBackend, OllamaBackend];
+  },
+
+  /**
+   * Backend by key, falling back to Gemini
+   * @param {string} [id] - Backend key
+   * @returns {Object}
+   */
+  get(id) {
+    return this.all().find(backend => backend.id === id) || GeminiBackend;
+  },
+
+  /**
+   * Backend selected in settings
+   * @returns {Object}
+   */
+  active() {
+    return this.get(AppState.llmBackend);
+  },
+
+  /**
+   * Base URL for a backend: the one set in settings, or its default
+   * @param {Object} backend - Backend with a `defaultBaseUrl`
+   * @returns {string} URL without a trailing slash
+   */
+  baseUrl(backend) {
+    return (AppState.llmEndpoint(backend.id).baseUrl || backend.defaultBaseUrl).replace(/\/+$/, '');
+  },
+
+  /**
+   * POST JSON to a backend, turning error responses into Errors
+   * @param {Object} backend - Backend making the request, for the message
+   * @param {string} url - Endpoint URL
+   * @param {Object} body - Request body
+   * @param {Object} [headers] - Extra headers
+   * @returns {Promise<Response>} The successful response, body unread
+   * @throws {Error} If the request fails or the server returns an error
+   */
+  async post(backend, url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      // OpenAI and Gemini nest the message; Ollama sends it as a string
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : null);
+      throw new Error(`${backend.name} error: ${message || response.statusText || response.status}`);
+    }
+    return response;
+  }
+};
+
+// Freeze public interface
+Object.freeze(LlmBackends);
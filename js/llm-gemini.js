@@ -0,0 +1,203 @@
+/**
+ * Google Gemini API backend (LLM backend, see LlmBackends)
+ * Uses generateContent, or streamGenerateContent over server-sent events.
+ */
+
+const GeminiBackend = {
+  id: 'gemini',
+  name: 'Gemini API',
+  setupHint: 'Please configure your Gemini API key in settings first.',
+  retryWithoutImage: false,
+  defaultRelevanceThreshold: 0.55,
+  maxOutputTokens: 65536,
+
+  /**
+   * @returns {boolean} Whether an API key is saved
+   */
+  isConfigured() {
+    return Boolean(AppState.geminiApiKey);
+  },
+
+  /**
+   * Model for a task; filtering uses a smaller, faster model
+   * @param {string} task - 'analysis' | 'filter' | 'agent'
+   * @returns {string}
+   */
+  model(task) {
+    return task === 'filter' ? CONFIG.FILTER_MODEL : AppState.geminiModel;
+  },
+
+  /**
+   * @returns {string} Gemini's embedding model
+   */
+  embeddingModel() {
+    return CONFIG.EMBEDDING_MODEL;
+  },
+
+  /**
+   * Generate text for one prompt; see LlmBackends
+   * With a schema, the API constrains the output to JSON matching it.
+   */
+  async generate({ prompt, image = null, schema = null, model, temperature, maxTokens, onText = null }) {
+    const generationConfig = {
+      temperature: temperature,
+      maxOutputTokens: maxTokens
+    };
+    if (schema) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = this._schema(schema);
+    }
+
+    const response = await this._post(model, onText ? 'streamGenerateContent?alt=sse&' : 'generateContent?', {
+      contents: [{ parts: this._parts(prompt, image) }],
+      generationConfig
+    });
+
+    if (!onText) {
+      return this._responseText(await response.json());
+    }
+
+    // Each event carries the next piece of the response
+    let text = '';
+    await Utils.readServerSentEvents(response.body, (data) => {
+      text += this._responseText(JSON.parse(data));
+      onText(text);
+    });
+    return text;
+  },
+
+  /**
+   * Run one function-calling turn; see LlmBackends
+   * The reply's `message` keeps the model's parts as returned, since newer
+   * models expect their thought signatures back.
+   */
+  async chat({ system, messages, tools, model, temperature, maxTokens }) {
+    const response = await this._post(model, 'generateContent?', {
+      system_instruction: { parts: [{ text: system }] },
+      contents: this._contents(messages),
+      tools: [{
+        functionDeclarations: tools.map(tool => ({ ...tool, parameters: this._schema(tool.parameters) }))
+      }],
+      generationConfig: {
+        temperature: temperature,
+        maxOutputTokens: maxTokens
+      }
+    });
+
+    const data = await response.json();
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return {
+      text: this._responseText(data),
+      toolCalls: parts.filter(part => part.functionCall).map(part => ({
+        id: part.functionCall.id || null,
+        name: part.functionCall.name,
+        args: part.functionCall.args || {}
+      })),
+      message: { role: 'assistant', raw: { role: 'model', parts } }
+    };
+  },
+
+  /**
+   * Embed texts; see LlmBackends
+   * Queries and documents use the matching retrieval task types.
+   */
+  async embed({ texts, model, purpose }) {
+    const response = await this._post(model, 'batchEmbedContents?', {
+      requests: texts.map(text => ({
+        model: `models/${model}`,
+        content: { parts: [{ text }] },
+        taskType: purpose === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT',
+        outputDimensionality: CONFIG.EMBEDDING_DIMENSIONS
+      }))
+    });
+
+    const data = await response.json();
+    return data.embeddings.map(embedding => embedding.values);
+  },
+
+  /**
+   * @private
+   */
+  async _post(model, method, body) {
+    return await LlmBackends.post(this, `${CONFIG.GEMINI_API_BASE}/${model}:${method}key=${AppState.geminiApiKey}`, body);
+  },
+
+  /**
+   * Prompt parts, image first
+   * @private
+   */
+  _parts(text, image) {
+    const parts = [{ text }];
+    if (image) {
+      parts.unshift({
+        inline_data: {
+          mime_type: 'image/jpeg',
+          data: image
+        }
+      });
+    }
+    return parts;
+  },
+
+  /**
+   * Conversation in Gemini's format; answers to the calls of one turn share a message
+   * @private
+   */
+  _contents(messages) {
+    const contents = [];
+    for (const message of messages) {
+      if (message.role === 'assistant') {
+        contents.push(message.raw);
+      } else if (message.role === 'tool') {
+        const part = {
+          functionResponse: {
+            ...(message.toolCallId && { id: message.toolCallId }),
+            name: message.name,
+            response: message.result
+          }
+        };
+        const last = contents[contents.length - 1];
+        if (last?.role === 'user' && last.parts.some(p => p.functionResponse)) {
+          last.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
+      } else {
+        contents.push({ role: 'user', parts: this._parts(message.text, message.image) });
+      }
+    }
+    return contents;
+  },
+
+  /**
+   * Text of a generateContent response (or one streamed piece of it)
+   * Blocked or cut-off candidates may have no text; schema checks catch that.
+   * @private
+   */
+  _responseText(data) {
+    return (data.candidates?.[0]?.content?.parts || [])
+      .filter(part => part.text)
+      .map(part => part.text)
+      .join('');
+  },
+
+  /**
+   * Convert a JSON Schema to Gemini's schema format, which spells types in upper case
+   * @private
+   */
+  _schema(schema) {
+    const converted = { ...schema, type: schema.type.toUpperCase() };
+    if (schema.items) {
+      converted.items = this._schema(schema.items);
+    }
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, property]) => [key, this._schema(property)])
+      );
+    }
+    return converted;
+  }
+};
+
+// Freeze public interface
+Object.freeze(GeminiBackend);
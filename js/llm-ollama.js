@@ -0,0 +1,133 @@
+/**
+ * Ollama backend (LLM backend, see LlmBackends)
+ * Uses Ollama's native /api/chat, which streams newline-delimited JSON and
+ * takes a JSON Schema as `format`. Ollama accepts requests from extensions
+ * by default; a server elsewhere on the network needs OLLAMA_HOST set to listen on it.
+ */
+
+const OllamaBackend = {
+  id: 'ollama',
+  name: 'Ollama',
+  defaultBaseUrl: CONFIG.OLLAMA_API_BASE,
+  setupHint: 'Please enter the Ollama model to use in settings first.',
+  retryWithoutImage: true,
+  defaultRelevanceThreshold: 0.5,
+  maxOutputTokens: 65536,
+
+  /**
+   * @returns {boolean} Whether a model name is set
+   */
+  isConfigured() {
+    return Boolean(AppState.llmEndpoint(this.id).model);
+  },
+
+  /**
+   * The model set in settings, for every task
+   * @returns {string}
+   */
+  model() {
+    return AppState.llmEndpoint(this.id).model;
+  },
+
+  /**
+   * The embedding model set in settings
+   * @returns {string|null}
+   */
+  embeddingModel() {
+    return AppState.llmEndpoint(this.id).embeddingModel || null;
+  },
+
+  /**
+   * Generate text for one prompt; see LlmBackends
+   */
+  async generate({ prompt, image = null, schema = null, model, temperature, maxTokens, onText = null }) {
+    const response = await this._post('/api/chat', {
+      model,
+      messages: [this._userMessage(prompt, image)],
+      stream: Boolean(onText),
+      ...(schema && { format: schema }),
+      options: { temperature, num_predict: maxTokens }
+    });
+
+    if (!onText) {
+      const data = await response.json();
+      return data.message?.content || '';
+    }
+
+    // Each line is a JSON object carrying the next piece of the response
+    let text = '';
+    await Utils.readLines(response.body, (line) => {
+      if (!line.trim()) return;
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(`${this.name} error: ${chunk.error}`);
+      text += chunk.message?.content || '';
+      onText(text);
+    });
+    return text;
+  },
+
+  /**
+   * Run one function-calling turn; see LlmBackends
+   */
+  async chat({ system, messages, tools, model, temperature, maxTokens }) {
+    const response = await this._post('/api/chat', {
+      model,
+      messages: [{ role: 'system', content: system }, ...messages.map(message => this._message(message))],
+      tools: tools.map(tool => ({ type: 'function', function: tool })),
+      stream: false,
+      options: { temperature, num_predict: maxTokens }
+    });
+
+    const data = await response.json();
+    const reply = data.message || { role: 'assistant', content: '' };
+    return {
+      text: reply.content || '',
+      toolCalls: (reply.tool_calls || []).map(call => ({
+        id: call.id || null,
+        name: call.function.name,
+        // Arguments come as an object, unlike the OpenAI API's JSON string
+        args: call.function.arguments || {}
+      })),
+      message: { role: 'assistant', raw: reply }
+    };
+  },
+
+  /**
+   * Embed texts; see LlmBackends
+   */
+  async embed({ texts, model }) {
+    const response = await this._post('/api/embed', { model, input: texts });
+    const data = await response.json();
+    return data.embeddings;
+  },
+
+  /**
+   * @private
+   */
+  async _post(path, body) {
+    return await LlmBackends.post(this, `${LlmBackends.baseUrl(this)}${path}`, body);
+  },
+
+  /**
+   * User message, with the image as base64 if there is one
+   * @private
+   */
+  _userMessage(text, image) {
+    return { role: 'user', content: text, ...(image && { images: [image] }) };
+  },
+
+  /**
+   * Conversation message in Ollama's format
+   * @private
+   */
+  _message(message) {
+    if (message.role === 'assistant') return message.raw;
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_name: message.name, content: JSON.stringify(message.result) };
+    }
+    return this._userMessage(message.text, message.image);
+  }
+};
+
+// Freeze public interface
+Object.freeze(OllamaBackend);
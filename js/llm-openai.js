@@ -0,0 +1,197 @@
+/**
+ * OpenAI-compatible chat completions backend (LLM backend, see LlmBackends)
+ * Works with OpenAI and with servers that mirror its API, such as llama.cpp,
+ * vLLM and LM Studio. The API key is optional, since local servers rarely need one.
+ */
+
+const OpenAiBackend = {
+  id: 'openai',
+  name: 'OpenAI-compatible API',
+  defaultBaseUrl: CONFIG.OPENAI_API_BASE,
+  setupHint: 'Please enter the model name for your OpenAI-compatible server in settings first.',
+  retryWithoutImage: true,
+  defaultRelevanceThreshold: 0.3,
+  maxOutputTokens: 16384, // gpt-4o and gpt-4o-mini reject anything higher
+
+  /**
+   * @returns {boolean} Whether a model name is set
+   */
+  isConfigured() {
+    return Boolean(AppState.llmEndpoint(this.id).model);
+  },
+
+  /**
+   * The model set in settings, for every task
+   * @returns {string}
+   */
+  model() {
+    return AppState.llmEndpoint(this.id).model;
+  },
+
+  /**
+   * The embedding model set in settings
+   * @returns {string|null}
+   */
+  embeddingModel() {
+    return AppState.llmEndpoint(this.id).embeddingModel || null;
+  },
+
+  /**
+   * Generate text for one prompt; see LlmBackends
+   * A schema is passed as a json_schema response format. Its root must be an
+   * object, so other schemas (the filter's array) are wrapped in one and the
+   * reply unwrapped.
+   */
+  async generate({ prompt, image = null, schema = null, model, temperature, maxTokens, onText = null }) {
+    const wrapped = Boolean(schema) && schema.type !== 'object';
+    const body = {
+      model,
+      messages: [{ role: 'user', content: this._content(prompt, image) }],
+      temperature,
+      max_tokens: maxTokens,
+      stream: Boolean(onText)
+    };
+    if (schema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: 'response',
+          schema: wrapped ? this._wrapSchema(schema) : schema,
+          // Strict mode would reject keywords like minItems and optional properties
+          strict: false
+        }
+      };
+    }
+
+    const response = await this._post('/chat/completions', body);
+    if (!onText) {
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content || '';
+      return wrapped ? this._unwrapResult(text) : text;
+    }
+
+    // Each event carries the next piece of the response, until "[DONE]"
+    let text = '';
+    await Utils.readServerSentEvents(response.body, (data) => {
+      if (data === '[DONE]') return;
+      text += JSON.parse(data).choices?.[0]?.delta?.content || '';
+      onText(text);
+    });
+    return wrapped ? this._unwrapResult(text) : text;
+  },
+
+  /**
+   * Run one function-calling turn; see LlmBackends
+   */
+  async chat({ system, messages, tools, model, temperature, maxTokens }) {
+    const response = await this._post('/chat/completions', {
+      model,
+      messages: [{ role: 'system', content: system }, ...messages.map(message => this._message(message))],
+      tools: tools.map(tool => ({ type: 'function', function: tool })),
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const data = await response.json();
+    const reply = data.choices?.[0]?.message || { role: 'assistant', content: '' };
+    return {
+      text: reply.content || '',
+      toolCalls: (reply.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        args: this._parseArguments(call.function.arguments)
+      })),
+      message: { role: 'assistant', raw: reply }
+    };
+  },
+
+  /**
+   * Embed texts; see LlmBackends
+   */
+  async embed({ texts, model }) {
+    const response = await this._post('/embeddings', { model, input: texts });
+    const data = await response.json();
+    // Entries carry their input's index, which servers needn't keep in order
+    return [...data.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+  },
+
+  /**
+   * @private
+   */
+  async _post(path, body) {
+    const { apiKey } = AppState.llmEndpoint(this.id);
+    return await LlmBackends.post(
+      this,
+      `${LlmBackends.baseUrl(this)}${path}`,
+      body,
+      apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+    );
+  },
+
+  /**
+   * Object schema holding a non-object schema as its `value` property
+   * @private
+   */
+  _wrapSchema(schema) {
+    return {
+      type: 'object',
+      properties: { value: schema },
+      required: ['value'],
+      additionalProperties: false
+    };
+  },
+
+  /**
+   * The `value` of a reply to a wrapped schema, as JSON text; replies that
+   * don't parse are returned as they are, for the caller's repair step
+   * @private
+   */
+  _unwrapResult(text) {
+    try {
+      const parsed = JSON.parse(Utils.cleanMarkdownCodeFences(text));
+      return parsed && 'value' in parsed ? JSON.stringify(parsed.value) : text;
+    } catch (e) {
+      return text;
+    }
+  },
+
+  /**
+   * Message content: plain text, or text and an image as a data URL
+   * @private
+   */
+  _content(text, image) {
+    if (!image) return text;
+    return [
+      { type: 'text', text },
+      { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${image}` } }
+    ];
+  },
+
+  /**
+   * Conversation message in the chat completions format
+   * @private
+   */
+  _message(message) {
+    if (message.role === 'assistant') return message.raw;
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: JSON.stringify(message.result) };
+    }
+    return { role: 'user', content: this._content(message.text, message.image) };
+  },
+
+  /**
+   * Tool call arguments arrive as a JSON string, which small models sometimes garble
+   * @private
+   */
+  _parseArguments(text) {
+    try {
+      return JSON.parse(text || '{}');
+    } catch (e) {
+      console.warn('Unreadable tool call arguments:', text);
+      return {};
+    }
+  }
+};
+
+// Freeze public interface
+Object.freeze(OpenAiBackend);
@@ -0,0 +1,333 @@
+/**
+ * Prediction market providers
+ * Fans searches out to the venues enabled in settings and merges the results.
+ *
+ * Every provider service (PolymarketService, KalshiService, ManifoldService)
+ * implements the same interface and normalizes into the same event/market shape:
+ *   id, name          - Provider key and display name
+ *   currencySymbol    - Prefix for volumes ('$', or 'Ṁ' for Manifold's play money)
+ *   searchByKeyword(keyword, {includeResolved}) -> Promise<Array> of events; throws on failure
+ *   searchEvents(query, filters) -> Promise<Array> of events (manual search panel)
+ *   fetchPriceHistory(tokenId, range) -> Promise<Array<{t, p}>|null>, uncached
+ *   fetchMarketDetails(markets) -> Promise<Map<tokenId, Object>> (optional) extra
+ *     fields merged into each market, e.g. Polymarket's order books
+ *
+ * Events carry `provider` and, for recurring events, a provider-specific `seriesId`;
+ * markets and outcomes carry a provider-specific `tokenId` that identifies their
+ * price series. Closed markets carry `resolvedOutcome` (the
+ * winning label, or null while pending) and their last traded `probability`; an
+ * event whose markets are all closed is `closed`.
+ */
+
+const MarketProviders = {
+  // "provider:tokenId:range" -> { history, fetchedAt }, shared by cards and charts
+  _historyCache: new Map(),
+
+  /**
+   * All known providers, in display order
+   * @returns {Array<Object>}
+   */
+  all() {
+    return [PolymarketService, KalshiService, ManifoldService];
+  },
+
+  /**
+   * Provider by key; events cached before providers existed are Polymarket's
+   * @param {string} [id] - Provider key
+   * @returns {Object}
+   */
+  get(id = PolymarketService.id) {
+    return this.all().find(provider => provider.id === id) || PolymarketService;
+  },
+
+  /**
+   * Providers enabled in settings (Polymarket if none are)
+   * @returns {Array<Object>}
+   */
+  enabled() {
+    const enabled = this.all().filter(provider => AppState.marketProviders.includes(provider.id));
+    return enabled.length > 0 ? enabled : [PolymarketService];
+  },
+
+  /**
+   * Key that identifies an event across providers
+   * @param {Object} event - Normalized event
+   * @returns {string}
+   */
+  eventKey(event) {
+    return `${this.get(event.provider).id}:${event.eventId}`;
+  },
+
+  /**
+   * Search every enabled provider with multiple keywords in parallel
+   * Individual failed searches are counted rather than treated as "no markets".
+   * @param {string[]} keywords - Array of search keywords
+   * @param {Object} [options] - See startSearch
+   * @returns {Promise<{events: Array, failed: number, total: number}>} Deduplicated events,
+   *   plus how many of the searches (one per provider and keyword) failed
+   * @throws {Error} If every search failed
+   */
+  async search(keywords, options = {}) {
+    const search = this.startSearch(options);
+    keywords.forEach(keyword => search.add(keyword));
+    return await search.finish();
+  },
+
+  /**
+   * Start a search that keywords join as they become known, e.g. while an
+   * analysis streams in; each keyword is searched as soon as it's added
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of keywords to search
+   * @param {Map<string, Array>} [options.sources] - keyword -> sources (e.g. tabs) it came
+   *   from; each returned event gets the union of its keywords' sources as `sources`
+   * @param {boolean} [options.includeResolved] - Also find resolved markets; defaults to the setting
+   * @param {Function} [options.onEvents] - Callback: (events) with every event found so far,
+   *   deduplicated, whenever a search finishes
+   * @returns {{add: Function, finish: Function, cancel: Function}} `add(keyword)` starts
+   *   searching a keyword, ignoring repeats and keywords past the limit; `finish()` waits
+   *   for the searches started so far and resolves like search; `cancel()` stops calling
+   *   onEvents and adding keywords, for a run that was abandoned
+   */
+  startSearch({
+    limit = CONFIG.MAX_KEYWORDS_TO_SEARCH,
+    sources = null,
+    includeResolved = AppState.includeResolved,
+    onEvents = null
+  } = {}) {
+    const keywords = new Set();
+    const searches = [];
+    // Results by search, so events keep keyword order however the searches finish
+    const results = [];
+    const failures = [];
+    let cancelled = false;
+
+    const collect = () => this._deduplicateEvents(results.flat());
+
+    const add = (keyword) => {
+      if (cancelled || keywords.has(keyword) || keywords.size >= limit) return;
+      keywords.add(keyword);
+
+      for (const provider of this.enabled()) {
+        const index = searches.length;
+        results.push([]);
+        searches.push(provider.searchByKeyword(keyword, { includeResolved }).then((events) => {
+          if (sources) {
+            events.forEach(event => { event.sources = [...(sources.get(keyword) || [])]; });
+          }
+          results[index] = events;
+          if (onEvents && !cancelled) onEvents(collect());
+        }, (error) => {
+          console.error(`Error searching ${provider.name} for "${keyword}":`, error);
+          failures.push(error);
+        }));
+      }
+    };
+
+    const finish = async () => {
+      await Promise.all(searches);
+      if (searches.length > 0 && failures.length === searches.length) {
+        throw new Error(`Failed to search markets: ${failures[0].message}`);
+      }
+
+      // Remove duplicates and merge markets from same event
+      return {
+        events: collect(),
+        failed: failures.length,
+        total: searches.length
+      };
+    };
+
+    const cancel = () => {
+      cancelled = true;
+    };
+
+    return { add, finish, cancel };
+  },
+
+  /**
+   * Search events on every enabled provider, with faceted filters (manual search panel)
+   * Each provider applies the filters it supports. Sorted by end date, results are
+   * merged; sorted by volume, they're listed by provider, since volumes are in
+   * different currencies.
+   * @param {string} query - Free-text query; empty to browse by filters alone
+   * @param {Object} [filters] - See PolymarketService.searchEvents
+   * @returns {Promise<Array>} Normalized events
+   * @throws {Error} If every provider failed
+   */
+  async searchEvents(query, filters = {}) {
+    const providers = this.enabled();
+    const results = await Promise.allSettled(providers.map(provider => provider.searchEvents(query, filters)));
+
+    const failures = [];
+    const events = results.flatMap((result, i) => {
+      if (result.status === 'fulfilled') return result.value;
+      console.error(`Error searching ${providers[i].name}:`, result.reason);
+      failures.push(result.reason);
+      return [];
+    });
+
+    if (failures.length === providers.length) {
+      throw failures[0];
+    }
+
+    if (filters.sort === 'endDate' && providers.length > 1) {
+      // Soonest end first for open events; most recently ended for closed ones
+      const direction = filters.status === 'closed' ? -1 : 1;
+      events.sort((a, b) => direction * (a.endDate || '').localeCompare(b.endDate || ''));
+    }
+    return events;
+  },
+
+  /**
+   * Fetch price history for a market or outcome
+   * Recent results are reused, including slicing a cached longer range
+   * when that still leaves enough points for the shorter one.
+   * @param {string} providerId - Provider key
+   * @param {string} tokenId - Provider-specific price series ID
+   * @param {string} [range] - Key of CONFIG.PRICE_HISTORY_RANGES
+   * @returns {Promise<Array|null>} Price history array or null
+   */
+  async fetchPriceHistory(providerId, tokenId, range = CONFIG.DEFAULT_PRICE_RANGE) {
+    if (!tokenId) return null;
+
+    const provider = this.get(providerId);
+    const key = `${provider.id}:${tokenId}`;
+    const cached = this._cachedHistory(key, range);
+    if (cached) return cached;
+
+    const history = await provider.fetchPriceHistory(tokenId, range);
+    if (history) {
+      this._pruneHistoryCache();
+      this._historyCache.set(`${key}:${range}`, { history, fetchedAt: Date.now() });
+    }
+    return history;
+  },
+
+  /**
+   * Enrich events with price history and provider details (e.g. order books)
+   * Closed markets get their whole history, since the last week may be flat.
+   * @param {Array} events - Events to enrich
+   * @returns {Promise<Array>} Events with `priceHistory` and provider fields on each market
+   */
+  async enrichMarketData(events) {
+    const detailsRequest = this.fetchMarketDetails(events);
+
+    return await Promise.all(
+      events.map(async (event) => ({
+        ...event,
+        markets: await Promise.all(
+          event.markets.map(async (market) => {
+            const [priceHistory, details] = await Promise.all([
+              this.fetchPriceHistory(event.provider, market.tokenId, market.closed ? 'all' : undefined),
+              detailsRequest
+            ]);
+            return {
+              ...market,
+              priceHistory,
+              ...details.get(`${this.get(event.provider).id}:${market.tokenId}`)
+            };
+          })
+        )
+      }))
+    );
+  },
+
+  /**
+   * Provider details for the markets of events (e.g. order books)
+   * One request per provider, so providers can batch.
+   * @param {Array} events - Normalized events
+   * @returns {Promise<Map<string, Object>>} "provider:tokenId" -> extra market fields
+   */
+  async fetchMarketDetails(events) {
+    const details = new Map();
+    await Promise.all(this.all().filter(provider => provider.fetchMarketDetails).map(async (provider) => {
+      const markets = events
+        .filter(event => this.get(event.provider) === provider)
+        .flatMap(event => event.markets);
+      if (markets.length === 0) return;
+
+      for (const [tokenId, fields] of await provider.fetchMarketDetails(markets)) {
+        details.set(`${provider.id}:${tokenId}`, fields);
+      }
+    }));
+    return details;
+  },
+
+  /**
+   * Fresh cached history for a range, exact or sliced from a longer one
+   * @private
+   */
+  _cachedHistory(key, range) {
+    const isFresh = (entry) => entry && Date.now() - entry.fetchedAt < CONFIG.CACHE_TTL_MS;
+
+    const exact = this._historyCache.get(`${key}:${range}`);
+    if (isFresh(exact)) return exact.history;
+
+    const { spanMs } = CONFIG.PRICE_HISTORY_RANGES[range];
+    if (spanMs === Infinity) return null;
+
+    const since = (Date.now() - spanMs) / 1000;
+    for (const [otherRange, { spanMs: otherSpan }] of Object.entries(CONFIG.PRICE_HISTORY_RANGES)) {
+      const entry = this._historyCache.get(`${key}:${otherRange}`);
+      if (otherSpan <= spanMs || !isFresh(entry)) continue;
+
+      const slice = entry.history.filter(point => point.t >= since);
+      if (slice.length >= CONFIG.PRICE_HISTORY_MIN_POINTS) return slice;
+    }
+    return null;
+  },
+
+  /**
+   * Drop expired history entries
+   * @private
+   */
+  _pruneHistoryCache() {
+    for (const [key, entry] of this._historyCache) {
+      if (Date.now() - entry.fetchedAt >= CONFIG.CACHE_TTL_MS) {
+        this._historyCache.delete(key);
+      }
+    }
+  },
+
+  /**
+   * Deduplicate events and merge markets from same event
+   * @private
+   */
+  _deduplicateEvents(allEvents) {
+    const eventMap = new Map();
+
+    for (const event of allEvents) {
+      const key = this.eventKey(event);
+      if (eventMap.has(key)) {
+        // Merge markets from same event found via different keywords
+        const existing = eventMap.get(key);
+        const existingMarketIds = new Set(existing.markets.map(m => m.id));
+        for (const market of event.markets) {
+          if (!existingMarketIds.has(market.id)) {
+            existing.markets.push(market);
+          }
+        }
+        Utils.checkOutcomeSum(existing);
+        if (event.sources) {
+          for (const source of event.sources) {
+            if (!existing.sources.includes(source)) {
+              existing.sources.push(source);
+            }
+          }
+        }
+      } else {
+        // Merge into a copy, so each search's results stay as they were found
+        eventMap.set(key, {
+          ...event,
+          markets: [...event.markets],
+          ...(event.sources && { sources: [...event.sources] })
+        });
+      }
+    }
+
+    return Array.from(eventMap.values());
+  }
+};
+
+// Freeze public interface
+Object.freeze(MarketProviders);
@@ -0,0 +1,248 @@
+/**
+ * Market series detection
+ * Finds strike ladders within an event ("BTC above $X", "0/1/2/3+ cuts") and
+ * recurring events that differ only by date, so they can be shown as one
+ * distribution or behind a date selector instead of as near-identical rows.
+ */
+
+const MarketSeries = {
+  MONTHS: 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?',
+
+  /**
+   * Group events that recur on different dates into series, keeping rank order
+   * Events are grouped by their provider's series ID, or else by title with
+   * dates and numbers left out.
+   * @param {Array} events - Ranked events
+   * @returns {Array<Object>} Events, and series in the place of their best-ranked
+   *   event as `{ key, events }` with events sorted by end date
+   */
+  groupByDate(events) {
+    const groups = new Map();
+    for (const event of events) {
+      const key = this._seriesKey(event);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    }
+
+    const items = [];
+    const placed = new Set();
+    for (const event of events) {
+      const key = this._seriesKey(event);
+      const group = groups.get(key);
+      if (!this._isDateSeries(group)) {
+        items.push(event);
+      } else if (!placed.has(key)) {
+        placed.add(key);
+        items.push({ key, events: [...group].sort((a, b) => a.endDate.localeCompare(b.endDate)) });
+      }
+    }
+    return items;
+  },
+
+  /**
+   * Event in a series to show first: the next to end, or the latest if all have ended
+   * @param {Object} series - Series from groupByDate
+   * @returns {Object} Event
+   */
+  defaultEvent(series) {
+    const now = new Date().toISOString();
+    return series.events.find(event => event.endDate >= now) || series.events[series.events.length - 1];
+  },
+
+  /**
+   * Read an event's markets as a strike ladder and derive the implied distribution
+   * Cumulative ladders ("above $X" or "below $X" for several X) are differenced
+   * into ranges; mutually exclusive buckets ("0", "1", "2", "3+") are used as
+   * they are. Returns null unless every market has a strike.
+   * @param {Object} event - Normalized event
+   * @returns {Object|null} `{ kind, bins: [{label, probability}], median: {label, position},
+   *   markets }`, with `markets` in strike order and the median's position in bins
+   */
+  ladder(event) {
+    if (event.markets.length < CONFIG.LADDER_MIN_MARKETS) return null;
+
+    const strikes = event.markets.map(market => ({ market, strike: this.parseStrike(market.title) }));
+    if (strikes.some(({ strike }) => !strike)) return null;
+
+    const unit = {
+      prefix: strikes.some(({ strike }) => strike.prefix) ? '$' : '',
+      suffix: strikes.find(({ strike }) => strike.suffix)?.strike.suffix || ''
+    };
+    const kinds = new Set(strikes.map(({ strike }) => strike.kind));
+
+    let ladder;
+    if (kinds.size === 1 && (kinds.has('above') || kinds.has('below'))) {
+      ladder = this._cumulativeBins(strikes, kinds.has('above'), unit);
+    } else if (event.negRisk) {
+      ladder = this._bucketBins(strikes);
+    }
+    if (!ladder) return null;
+
+    const median = this._median(ladder.bins, unit);
+    return median ? { ...ladder, median } : null;
+  },
+
+  /**
+   * Parse a strike out of a market title
+   * @param {string} title - e.g. "↑ 120,000", "Above 4.50%", "$98,000 to $98,499", "3+"
+   * @returns {Object|null} `{ kind: 'above'|'below'|'range'|'exact', low, high, prefix, suffix }`
+   */
+  parseStrike(title) {
+    const text = (title || '')
+      .replace(/\([^)]*\)/g, ' ') // "3+ (75+ bps)"
+      .replace(/(\d),(?=\d{3})/g, '$1')
+      .toLowerCase();
+    // Dates aren't strikes
+    if (new RegExp(`\\b(?:${this.MONTHS})\\b`).test(text)) return null;
+
+    const numbers = [...text.matchAll(/(\$)?\s*(\d+(?:\.\d+)?)\s*(%|(?:k|m|bn|b|bps)\b)?/g)];
+    if (numbers.length === 0 || numbers.length > 2) return null;
+
+    const multipliers = { k: 1e3, m: 1e6, b: 1e9, bn: 1e9 };
+    const values = numbers.map(match => parseFloat(match[2]) * (multipliers[match[3]] || 1));
+    const prefix = numbers.some(match => match[1]) ? '$' : '';
+    const suffixMatch = numbers.find(match => match[3] === '%' || match[3] === 'bps');
+    const suffix = suffixMatch ? (suffixMatch[3] === '%' ? '%' : ' bps') : '';
+
+    // A bare year is a date, and several words around a number make it a question
+    if (!prefix && !suffix && values.some(v => Number.isInteger(v) && v >= 1900 && v <= 2100)) return null;
+    if (text.replace(/[^a-z]+/g, ' ').trim().split(' ').filter(Boolean).length > 4) return null;
+
+    const strike = (kind, low, high) => ({ kind, low, high, prefix, suffix });
+    if (values.length === 2) {
+      if (!/\d\s*(?:%|k|m|bn|b)?\s*(?:-|–|to|and)\s*\$?\s*\d/.test(text)) return null;
+      return strike('range', Math.min(...values), Math.max(...values));
+    }
+
+    const [value] = values;
+    if (/↑|>|≥|\+|\b(?:above|over|more than|at least|greater than|higher than|or (?:more|above|higher))\b/.test(text)) {
+      return strike('above', value, Infinity);
+    }
+    if (/↓|<|≤|\b(?:below|under|less than|fewer than|lower than|or (?:less|below|lower|fewer))\b/.test(text)) {
+      return strike('below', -Infinity, value);
+    }
+    return strike('exact', value, value);
+  },
+
+  /**
+   * Format a strike value with the ladder's unit
+   * @param {number} value
+   * @param {Object} unit - `{ prefix, suffix }`
+   * @returns {string}
+   */
+  formatValue(value, unit) {
+    const digits = Math.abs(value) >= 1000 ? 0 : 2;
+    return `${unit.prefix}${value.toLocaleString(undefined, { maximumFractionDigits: digits })}${unit.suffix}`;
+  },
+
+  /**
+   * Ranges between consecutive strikes of an "above" or "below" ladder
+   * Prices that break monotonicity are clamped, so no range goes negative.
+   * @private
+   */
+  _cumulativeBins(strikes, above, unit) {
+    const byStrike = new Map();
+    for (const entry of strikes) {
+      const value = above ? entry.strike.low : entry.strike.high;
+      if (byStrike.has(value)) return null;
+      byStrike.set(value, entry.market);
+    }
+
+    const values = [...byStrike.keys()].sort((a, b) => a - b);
+    // Probability the outcome lands above each strike
+    let previous = 100;
+    const pAbove = values.map(value => {
+      const market = byStrike.get(value);
+      const p = above ? market.probability : 100 - market.probability;
+      previous = Math.min(previous, p);
+      return previous;
+    });
+
+    const bins = [{ label: `< ${this.formatValue(values[0], unit)}`, low: -Infinity, high: values[0], probability: 100 - pAbove[0] }];
+    for (let i = 0; i < values.length - 1; i++) {
+      bins.push({
+        label: `${this.formatValue(values[i], unit)}–${this.formatValue(values[i + 1], unit)}`,
+        low: values[i],
+        high: values[i + 1],
+        probability: pAbove[i] - pAbove[i + 1]
+      });
+    }
+    const last = values[values.length - 1];
+    bins.push({ label: `> ${this.formatValue(last, unit)}`, low: last, high: Infinity, probability: pAbove[pAbove.length - 1] });
+
+    return { kind: 'cumulative', bins, markets: values.map(value => byStrike.get(value)) };
+  },
+
+  /**
+   * Mutually exclusive buckets in strike order, scaled to add up to 100%
+   * @private
+   */
+  _bucketBins(strikes) {
+    const sorted = [...strikes].sort((a, b) => a.strike.low - b.strike.low || a.strike.high - b.strike.high);
+    const total = sorted.reduce((sum, { market }) => sum + market.probability, 0);
+    if (total <= 0) return null;
+
+    return {
+      kind: 'buckets',
+      bins: sorted.map(({ market, strike }) => ({
+        label: market.title,
+        low: strike.low,
+        high: strike.high,
+        probability: market.probability * 100 / total
+      })),
+      markets: sorted.map(({ market }) => market)
+    };
+  },
+
+  /**
+   * Value where the cumulative probability reaches 50%, interpolated within its bin
+   * @private
+   */
+  _median(bins, unit) {
+    let cumulative = 0;
+    for (let i = 0; i < bins.length; i++) {
+      const bin = bins[i];
+      if (bin.probability > 0 && cumulative + bin.probability >= 50) {
+        const fraction = (50 - cumulative) / bin.probability;
+        let label;
+        if (bin.low === -Infinity) {
+          label = `< ${this.formatValue(bin.high, unit)}`;
+        } else if (bin.high === Infinity) {
+          label = `${this.formatValue(bin.low, unit)}+`;
+        } else {
+          label = this.formatValue(bin.low + fraction * (bin.high - bin.low), unit);
+        }
+        return { label, position: i + fraction };
+      }
+      cumulative += bin.probability;
+    }
+    return null;
+  },
+
+  /**
+   * @private
+   */
+  _seriesKey(event) {
+    const provider = MarketProviders.get(event.provider).id;
+    if (event.seriesId) return `${provider}:series:${event.seriesId}`;
+
+    const pattern = event.eventTitle.toLowerCase()
+      .replace(new RegExp(`\\b(?:${this.MONTHS})\\.?(?:\\s+\\d{1,2}(?:st|nd|rd|th)?)?(?:,?\\s+\\d{4})?\\b`, 'g'), '#')
+      .replace(/\d[\d,.:/-]*/g, '#')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return `${provider}:title:${pattern}`;
+  },
+
+  /**
+   * Several events, each ending on a different date
+   * @private
+   */
+  _isDateSeries(group) {
+    if (group.length < 2 || group.some(event => !event.endDate)) return false;
+    return new Set(group.map(event => event.endDate.slice(0, 10))).size === group.length;
+  }
+};
+
+// Freeze public interface
+Object.freeze(MarketSeries);
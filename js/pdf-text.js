@@ -0,0 +1,145 @@
+/**
+ * PDF text extraction
+ * Chrome's PDF viewer can't be scripted, so PDF tabs are fetched and parsed
+ * here with the bundled pdf.js (lib/pdfjs), loaded the first time a PDF is
+ * analyzed. Scanned or encrypted PDFs yield no text, and callers fall back
+ * to the screenshot.
+ */
+
+const PdfTextExtractor = {
+  LIBRARY_PATH: 'lib/pdfjs/pdf.min.mjs',
+  WORKER_PATH: 'lib/pdfjs/pdf.worker.min.mjs',
+  CMAPS_PATH: 'lib/pdfjs/cmaps/',
+
+  // Mutable loader state (the service object itself is frozen)
+  _state: {
+    library: null // Promise of the pdf.js module
+  },
+
+  /**
+   * Check whether a URL points at a PDF document
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  isPdfUrl(url) {
+    try {
+      return /\.pdf$/i.test(new URL(url).pathname);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Check a URL's content type when the extension doesn't give it away
+   * @param {string} url - URL to check
+   * @returns {Promise<boolean>}
+   */
+  async isPdfResource(url) {
+    if (this.isPdfUrl(url)) return true;
+    if (!/^https?:/i.test(url)) return false;
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      return (response.headers.get('content-type') || '').includes('application/pdf');
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Fetch a PDF and extract its text
+   * @param {string} url - PDF URL (http(s) or file)
+   * @param {number} maxLength - Stop once this much text has been extracted
+   * @returns {Promise<{title: string, text: string}>}
+   */
+  async extractFromUrl(url, maxLength) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch PDF: ${response.status} ${response.statusText}`);
+    }
+    return await this.extract(await response.arrayBuffer(), maxLength);
+  },
+
+  /**
+   * Extract text from PDF bytes
+   * @param {ArrayBuffer} buffer - Raw PDF file
+   * @param {number} maxLength - Stop once this much text has been extracted
+   * @returns {Promise<{title: string, text: string}>}
+   * @throws {Error} If the file isn't a readable PDF
+   */
+  async extract(buffer, maxLength) {
+    const pdfjs = await this._loadLibrary();
+    const doc = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      cMapUrl: chrome.runtime.getURL(this.CMAPS_PATH),
+      cMapPacked: true,
+      // The extension's CSP doesn't allow eval
+      isEvalSupported: false
+    }).promise;
+
+    try {
+      const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+      const title = typeof info?.Title === 'string' ? info.Title.trim() : '';
+
+      const pageTexts = [];
+      let length = 0;
+      for (let number = 1; number <= doc.numPages && length < maxLength; number++) {
+        const page = await doc.getPage(number);
+        const content = await page.getTextContent();
+        const pageText = this._pageText(content.items);
+        if (pageText) {
+          pageTexts.push(pageText);
+          length += pageText.length;
+        }
+        page.cleanup();
+      }
+
+      const text = pageTexts.join('\n\n').substring(0, maxLength);
+      return { title, text: this._looksLikeText(text) ? text : '' };
+    } finally {
+      await doc.destroy();
+    }
+  },
+
+  /**
+   * Load pdf.js from the extension, pointing it at its worker
+   * @private
+   */
+  async _loadLibrary() {
+    if (!this._state.library) {
+      this._state.library = import(chrome.runtime.getURL(this.LIBRARY_PATH)).then((pdfjs) => {
+        pdfjs.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(this.WORKER_PATH);
+        return pdfjs;
+      });
+      // Let a later PDF retry if loading failed
+      this._state.library.catch(() => { this._state.library = null; });
+    }
+    return await this._state.library;
+  },
+
+  /**
+   * Join a page's text items, keeping the line breaks pdf.js reports
+   * @private
+   */
+  _pageText(items) {
+    return items
+      .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+      .join('')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  /**
+   * Reject output that is mostly symbols (fonts without a usable encoding)
+   * @private
+   */
+  _looksLikeText(text) {
+    if (!text) return false;
+    const letters = text.match(/[\p{L}\p{N}\s.,;:'"()\-]/gu)?.length || 0;
+    return letters / text.length > 0.7;
+  }
+};
+
+// Freeze public interface
+Object.freeze(PdfTextExtractor);
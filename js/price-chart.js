@@ -0,0 +1,184 @@
+/**
+ * Interactive price history chart
+ * Renders one or more price series as SVG with axes, min/max markers and a
+ * hover tooltip. Series share the time axis, so outcomes of one event can be
+ * overlaid.
+ */
+
+const PriceChart = {
+  // Series colors, in order
+  COLORS: ['#3A7BC0', '#f59e0b', '#a855f7', '#22c55e', '#ef4444'],
+
+  // Space for axis labels
+  PADDING: { top: 10, right: 36, bottom: 18, left: 4 },
+
+  /**
+   * Draw series into a container, replacing its contents
+   * @param {HTMLElement} container - Element to draw into
+   * @param {Array<{label: string, history: Array<{t: number, p: number}>}>} series -
+   *   Price series; `t` in Unix seconds, `p` from 0 to 1. The first is the primary series.
+   * @param {string} range - Range key from CONFIG.PRICE_HISTORY_RANGES, for time labels
+   */
+  render(container, series, range) {
+    const drawable = series
+      .map((s, i) => ({ ...s, color: this.COLORS[i % this.COLORS.length] }))
+      .filter(s => s.history?.length >= 2);
+
+    if (drawable.length === 0) {
+      container.innerHTML = '<div class="price-chart-empty">No price history for this range</div>';
+      return;
+    }
+
+    const width = container.clientWidth || CONFIG.PRICE_CHART_WIDTH;
+    const height = CONFIG.PRICE_CHART_HEIGHT;
+    const scale = this._scale(drawable, width, height);
+    const primary = drawable[0];
+
+    const lines = drawable.map(s => {
+      const points = s.history.map(h => `${scale.x(h.t).toFixed(1)},${scale.y(h.p).toFixed(1)}`).join(' ');
+      return `<polyline fill="none" stroke="${s.color}" stroke-width="1.5" points="${points}"/>`;
+    }).join('');
+
+    container.innerHTML = `
+      <svg width="${width}" height="${height}" class="price-chart-svg">
+        ${this._renderAxes(scale, width, height, range)}
+        ${lines}
+        ${this._renderExtremes(primary, scale)}
+        <line class="price-chart-hover" x1="0" y1="${this.PADDING.top}" x2="0" y2="${height - this.PADDING.bottom}" visibility="hidden"/>
+      </svg>
+      ${drawable.length > 1 ? `<div class="price-chart-legend">${drawable.map(s =>
+        `<span><i style="background: ${s.color}"></i>${Utils.escapeHtml(s.label)}</span>`).join('')}</div>` : ''}
+      <div class="price-chart-tooltip hidden"></div>
+    `;
+
+    this._bindHover(container, drawable, scale, range);
+  },
+
+  /**
+   * Map time and price to SVG coordinates
+   * @private
+   */
+  _scale(series, width, height) {
+    const times = series.flatMap(s => s.history.map(h => h.t));
+    const prices = series.flatMap(s => s.history.map(h => h.p));
+    const tMin = Math.min(...times);
+    const tMax = Math.max(...times);
+    // Pad the price range so lines don't touch the edges
+    const pad = Math.max((Math.max(...prices) - Math.min(...prices)) * 0.1, 0.01);
+    const pMin = Math.max(0, Math.min(...prices) - pad);
+    const pMax = Math.min(1, Math.max(...prices) + pad);
+
+    const { top, right, bottom, left } = this.PADDING;
+    return {
+      tMin, tMax, pMin, pMax,
+      x: (t) => left + ((t - tMin) / (tMax - tMin || 1)) * (width - left - right),
+      y: (p) => top + (1 - (p - pMin) / (pMax - pMin || 1)) * (height - top - bottom),
+      t: (x) => tMin + ((x - left) / (width - left - right)) * (tMax - tMin)
+    };
+  },
+
+  /**
+   * Price gridlines on the right, start and end times along the bottom
+   * @private
+   */
+  _renderAxes(scale, width, height, range) {
+    const ticks = [scale.pMin, (scale.pMin + scale.pMax) / 2, scale.pMax];
+    const gridRight = width - this.PADDING.right;
+
+    const grid = ticks.map(p => `
+      <line class="price-chart-grid" x1="${this.PADDING.left}" y1="${scale.y(p)}" x2="${gridRight}" y2="${scale.y(p)}"/>
+      <text class="price-chart-label" x="${gridRight + 4}" y="${scale.y(p) + 3}">${Math.round(p * 100)}%</text>
+    `).join('');
+
+    const baseline = height - 4;
+    return `${grid}
+      <text class="price-chart-label" x="${this.PADDING.left}" y="${baseline}">${this._formatTime(scale.tMin, range)}</text>
+      <text class="price-chart-label" x="${gridRight}" y="${baseline}" text-anchor="end">${this._formatTime(scale.tMax, range)}</text>
+    `;
+  },
+
+  /**
+   * Markers at the primary series' highest and lowest points
+   * @private
+   */
+  _renderExtremes(series, scale) {
+    const max = series.history.reduce((a, b) => (b.p > a.p ? b : a));
+    const min = series.history.reduce((a, b) => (b.p < a.p ? b : a));
+    if (max.p === min.p) return '';
+
+    return [[max, -5], [min, 11]].map(([point, dy]) => `
+      <circle cx="${scale.x(point.t)}" cy="${scale.y(point.p)}" r="2.5" fill="${series.color}"/>
+      <text class="price-chart-extreme" x="${scale.x(point.t)}" y="${scale.y(point.p) + dy}" text-anchor="middle">${Math.round(point.p * 100)}%</text>
+    `).join('');
+  },
+
+  /**
+   * Show a vertical guide and every series' price at the hovered time
+   * @private
+   */
+  _bindHover(container, series, scale, range) {
+    const svg = container.querySelector('svg');
+    const guide = svg.querySelector('.price-chart-hover');
+    const tooltip = container.querySelector('.price-chart-tooltip');
+
+    svg.addEventListener('mousemove', (e) => {
+      const x = e.clientX - svg.getBoundingClientRect().left;
+      const t = scale.t(x);
+      const values = series.map(s => ({ ...s, point: this._nearest(s.history, t) }));
+      const snapX = scale.x(values[0].point.t);
+
+      guide.setAttribute('x1', snapX);
+      guide.setAttribute('x2', snapX);
+      guide.setAttribute('visibility', 'visible');
+
+      tooltip.innerHTML = `
+        <div class="price-chart-tooltip-time">${this._formatTime(values[0].point.t, range, true)}</div>
+        ${values.map(v => `<div><i style="background: ${v.color}"></i>${series.length > 1 ? `${Utils.escapeHtml(v.label)}: ` : ''}${(v.point.p * 100).toFixed(1)}%</div>`).join('')}
+      `;
+      tooltip.classList.remove('hidden');
+      // Keep the tooltip inside the chart
+      const left = Math.min(snapX + 8, svg.clientWidth - tooltip.offsetWidth);
+      tooltip.style.left = `${Math.max(0, left)}px`;
+    });
+
+    svg.addEventListener('mouseleave', () => {
+      guide.setAttribute('visibility', 'hidden');
+      tooltip.classList.add('hidden');
+    });
+  },
+
+  /**
+   * Point closest in time (history is sorted by time)
+   * @private
+   */
+  _nearest(history, t) {
+    let lo = 0;
+    let hi = history.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (history[mid].t < t) lo = mid + 1;
+      else hi = mid;
+    }
+    const before = history[Math.max(0, lo - 1)];
+    return Math.abs(before.t - t) < Math.abs(history[lo].t - t) ? before : history[lo];
+  },
+
+  /**
+   * Time label sized to the range: hours for a day, dates beyond that
+   * @private
+   */
+  _formatTime(seconds, range, detailed = false) {
+    const date = new Date(seconds * 1000);
+    if (range === '1d') {
+      return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    }
+    const options = range === 'all'
+      ? { year: 'numeric', month: 'short', day: 'numeric' }
+      : { month: 'short', day: 'numeric' };
+    if (detailed) Object.assign(options, { hour: 'numeric', minute: '2-digit' });
+    return date.toLocaleString(undefined, options);
+  }
+};
+
+// Freeze public interface
+Object.freeze(PriceChart);
@@ -0,0 +1,159 @@
+/**
+ * Embedding relevance ranking
+ * Scores events by cosine similarity between the page analysis and each event's
+ * title and description, using the selected backend's embedding model. Event
+ * embeddings are kept in chrome.storage.local by model and event key, so each
+ * market is embedded once per EMBEDDING_CACHE_TTL_MS.
+ */
+
+const RelevanceRanker = {
+  STORAGE_KEY: 'embeddingCache',
+
+  /**
+   * Check if the selected backend can embed text
+   * Nano has no embedding model, and the server backends need one set in settings.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !AppState.isUsingNano() && AppState.hasRequiredApiKey() && Boolean(LlmBackends.active().embeddingModel());
+  },
+
+  /**
+   * Minimum score an event needs to be kept
+   * @returns {number} The threshold set in settings, or the backend's default
+   */
+  threshold() {
+    return AppState.relevanceThreshold ?? LlmBackends.active().defaultRelevanceThreshold;
+  },
+
+  /**
+   * Score events against the page analysis
+   * @param {Array} events - Events to score
+   * @param {Object} analysis - Page analysis with summary and keywords
+   * @returns {Promise<Array<{event: Object, score: number}>>} Scores in the events' order
+   * @throws {Error} If the backend fails to embed
+   */
+  async score(events, analysis) {
+    const backend = LlmBackends.active();
+    const model = backend.embeddingModel();
+
+    const [query] = await backend.embed({ texts: [this._pageText(analysis)], model, purpose: 'query' });
+    const vectors = await this._eventVectors(events, backend, model);
+    return events.map((event, i) => ({ event, score: this.cosineSimilarity(query, vectors[i]) }));
+  },
+
+  /**
+   * Split scores sorted highest first into ties: each group holds the entries
+   * within RELEVANCE_TIE_MARGIN of its first (highest) score
+   * @param {Array<{score: number}>} ranked - Entries sorted by score, highest first
+   * @returns {Array<Array>} Consecutive groups covering every entry
+   */
+  tieGroups(ranked) {
+    const groups = [];
+    for (const entry of ranked) {
+      const group = groups[groups.length - 1];
+      if (group && group[0].score - entry.score < CONFIG.RELEVANCE_TIE_MARGIN) {
+        group.push(entry);
+      } else {
+        groups.push([entry]);
+      }
+    }
+    return groups;
+  },
+
+  /**
+   * Cosine similarity of two vectors
+   * @param {number[]} a
+   * @param {number[]} b
+   * @returns {number} From -1 to 1; 0 if either vector is empty or all zeros
+   */
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  },
+
+  /**
+   * Embeddings for events, from the cache where possible
+   * @private
+   */
+  async _eventVectors(events, backend, model) {
+    const cache = await this._loadCache();
+    const keys = events.map(event => `${model}:${MarketProviders.eventKey(event)}`);
+    const missing = events
+      .map((event, i) => ({ key: keys[i], text: this._eventText(event) }))
+      .filter(({ key }) => !cache[key]);
+
+    for (let i = 0; i < missing.length; i += CONFIG.EMBEDDING_BATCH_SIZE) {
+      const batch = missing.slice(i, i + CONFIG.EMBEDDING_BATCH_SIZE);
+      const vectors = await backend.embed({ texts: batch.map(item => item.text), model, purpose: 'document' });
+      batch.forEach((item, j) => {
+        cache[item.key] = { vector: vectors[j].map(value => Math.round(value * 1e4) / 1e4), storedAt: Date.now() };
+      });
+    }
+
+    if (missing.length > 0) {
+      await this._saveCache(cache);
+    }
+    return keys.map(key => cache[key].vector);
+  },
+
+  /**
+   * Text embedded for the page: its summary and keywords
+   * @private
+   */
+  _pageText(analysis) {
+    return `${analysis.summary}\nTopics: ${(analysis.keywords || []).join(', ')}`;
+  },
+
+  /**
+   * Text embedded for an event: its title and description
+   * @private
+   */
+  _eventText(event) {
+    const description = event.description || event.markets[0]?.description || '';
+    return Utils.truncate(`${event.eventTitle}\n${description.replace(/\s+/g, ' ')}`, CONFIG.EMBEDDING_TEXT_MAX_LENGTH);
+  },
+
+  /**
+   * Cached embeddings that haven't expired
+   * @private
+   */
+  async _loadCache() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      const cutoff = Date.now() - CONFIG.EMBEDDING_CACHE_TTL_MS;
+      return Object.fromEntries(
+        Object.entries(result[this.STORAGE_KEY] || {}).filter(([, entry]) => entry.storedAt > cutoff)
+      );
+    } catch (error) {
+      console.error('Embedding cache load error:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Store the cache, keeping the newest EMBEDDING_CACHE_MAX_ENTRIES embeddings
+   * @private
+   */
+  async _saveCache(cache) {
+    const newest = Object.entries(cache)
+      .sort(([, a], [, b]) => b.storedAt - a.storedAt)
+      .slice(0, CONFIG.EMBEDDING_CACHE_MAX_ENTRIES);
+
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: Object.fromEntries(newest) });
+    } catch (error) {
+      console.error('Embedding cache save error:', error);
+    }
+  }
+};
+
+// Freeze public interface
+Object.freeze(RelevanceRanker);
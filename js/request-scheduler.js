@@ -0,0 +1,132 @@
+/**
+ * Shared scheduler for market API requests
+ * Bounds concurrency, retries rate limits and server errors with
+ * exponential backoff (honoring Retry-After), and coalesces identical
+ * GET requests that are already in flight.
+ */
+
+const RequestScheduler = {
+  // Pending tasks: { task, resolve, reject }
+  _queue: [],
+
+  // Tasks currently holding a slot
+  _running: new Set(),
+
+  // "GET url" -> promise of the parsed response
+  _inFlight: new Map(),
+
+  /**
+   * Fetch a URL and parse the JSON response
+   * @param {string} url - Request URL
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<any>} Parsed JSON
+   * @throws {Error} After retries are exhausted, or on a non-retryable status;
+   *   HTTP errors carry the response status as `error.status`
+   */
+  fetchJson(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method !== 'GET') {
+      return this._fetchWithRetries(url, options);
+    }
+
+    const key = `${method} ${url}`;
+    if (!this._inFlight.has(key)) {
+      const request = this._fetchWithRetries(url, options)
+        .finally(() => this._inFlight.delete(key));
+      this._inFlight.set(key, request);
+    }
+    return this._inFlight.get(key);
+  },
+
+  /**
+   * @private
+   */
+  async _fetchWithRetries(url, options) {
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < CONFIG.REQUEST_MAX_RETRIES;
+
+      let response;
+      try {
+        response = await this._schedule(() => fetch(url, options));
+      } catch (error) {
+        // Network failure
+        if (!canRetry) throw error;
+        await this._sleep(this._backoffDelay(attempt));
+        continue;
+      }
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || !canRetry) {
+        const error = new Error(`${response.status} ${response.statusText || 'request failed'}`.trim());
+        error.status = response.status;
+        throw error;
+      }
+
+      await this._sleep(this._retryDelay(response, attempt));
+    }
+  },
+
+  /**
+   * Run a task once a concurrency slot is free
+   * @private
+   */
+  _schedule(task) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ task, resolve, reject });
+      this._drain();
+    });
+  },
+
+  /**
+   * @private
+   */
+  _drain() {
+    while (this._running.size < CONFIG.REQUEST_CONCURRENCY && this._queue.length > 0) {
+      const { task, resolve, reject } = this._queue.shift();
+      const running = task()
+        .then(resolve, reject)
+        .finally(() => {
+          this._running.delete(running);
+          this._drain();
+        });
+      this._running.add(running);
+    }
+  },
+
+  /**
+   * Delay before retrying a failed response, preferring the server's Retry-After
+   * @private
+   */
+  _retryDelay(response, attempt) {
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (ms >= 0) return Math.min(ms, CONFIG.REQUEST_MAX_RETRY_DELAY_MS);
+    }
+    return this._backoffDelay(attempt);
+  },
+
+  /**
+   * Exponential backoff with jitter, so parallel retries spread out
+   * @private
+   */
+  _backoffDelay(attempt) {
+    const delay = Math.min(CONFIG.REQUEST_BACKOFF_BASE_MS * 2 ** attempt, CONFIG.REQUEST_MAX_RETRY_DELAY_MS);
+    return delay / 2 + Math.random() * delay / 2;
+  },
+
+  /**
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+};
+
+// Freeze public interface
+Object.freeze(RequestScheduler);
@@ -0,0 +1,245 @@
+/**
+ * Screenshot capture for multimodal analysis
+ * Visible area, stitched full page, or a region the user drags out.
+ * All captures return base64 JPEG data (no data URL prefix).
+ */
+
+const ScreenshotService = {
+  /**
+   * Capture the tab using the given mode
+   * @param {Object} tab - Chrome tab object (must be the active tab)
+   * @param {'viewport'|'fullPage'|'region'} mode - Capture mode
+   * @returns {Promise<{data: string, dataUrl: string}|null>} Screenshot, or null if cancelled
+   */
+  async capture(tab, mode) {
+    if (mode === 'fullPage') return await this.captureFullPage(tab);
+    if (mode === 'region') return await this.captureRegion(tab);
+    return this._result(await this._captureVisible(tab.windowId));
+  },
+
+  /**
+   * Scroll through the page and stitch the viewports into one image
+   * Fixed and sticky elements (headers, cookie bars) are hidden after the
+   * first frame so they don't repeat down the image.
+   * @param {Object} tab - Chrome tab object
+   * @returns {Promise<{data: string, dataUrl: string}>}
+   */
+  async captureFullPage(tab) {
+    const [{ result: metrics }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => ({
+        scrollX: window.scrollX,
+        scrollY: window.scrollY,
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight,
+        pageHeight: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0)
+      })
+    });
+
+    const totalHeight = Math.min(metrics.pageHeight, CONFIG.FULL_PAGE_SCREENSHOT_MAX_HEIGHT);
+    const scale = Math.min(1, CONFIG.SCREENSHOT_MAX_WIDTH / metrics.viewportWidth);
+    const canvas = new OffscreenCanvas(Math.round(metrics.viewportWidth * scale), Math.round(totalHeight * scale));
+    const context = canvas.getContext('2d');
+
+    try {
+      for (let y = 0; y < totalHeight; y += metrics.viewportHeight) {
+        // The browser clamps the last scroll, so draw at wherever it actually landed
+        const [{ result: scrolledTo }] = await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: this._scrollForCapture,
+          args: [y, y > 0]
+        });
+
+        if (y > 0) await this._waitForCaptureQuota();
+        const bitmap = await this._toBitmap(await this._captureVisible(tab.windowId));
+        context.drawImage(bitmap, 0, scrolledTo * scale, canvas.width, metrics.viewportHeight * scale);
+        bitmap.close();
+      }
+    } finally {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: this._restoreAfterCapture,
+        args: [metrics.scrollX, metrics.scrollY]
+      }).catch(() => {});
+    }
+
+    return this._result(await this._toDataUrl(canvas));
+  },
+
+  /**
+   * Let the user drag a rectangle over the page, then crop to it
+   * @param {Object} tab - Chrome tab object
+   * @returns {Promise<{data: string, dataUrl: string}|null>} Null if the user pressed Escape
+   */
+  async captureRegion(tab) {
+    const [{ result: rect }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: this._selectRegion
+    });
+    if (!rect) return null;
+
+    // Let the overlay's removal reach the screen before capturing
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const bitmap = await this._toBitmap(await this._captureVisible(tab.windowId));
+
+    // Screenshots are in device pixels; the rectangle is in CSS pixels
+    const ratio = bitmap.width / rect.viewportWidth;
+    const scale = Math.min(1, CONFIG.SCREENSHOT_MAX_WIDTH / (rect.width * ratio));
+    const canvas = new OffscreenCanvas(Math.round(rect.width * ratio * scale), Math.round(rect.height * ratio * scale));
+    canvas.getContext('2d').drawImage(
+      bitmap,
+      rect.x * ratio, rect.y * ratio, rect.width * ratio, rect.height * ratio,
+      0, 0, canvas.width, canvas.height
+    );
+    bitmap.close();
+
+    return this._result(await this._toDataUrl(canvas));
+  },
+
+  /**
+   * Capture the visible area of a window
+   * @private
+   */
+  async _captureVisible(windowId) {
+    return await chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: CONFIG.SCREENSHOT_JPEG_QUALITY });
+  },
+
+  /**
+   * captureVisibleTab is rate limited per second
+   * @private
+   */
+  _waitForCaptureQuota() {
+    return new Promise(resolve => setTimeout(resolve, CONFIG.SCREENSHOT_CAPTURE_INTERVAL_MS));
+  },
+
+  /**
+   * @private
+   */
+  async _toBitmap(dataUrl) {
+    const blob = await (await fetch(dataUrl)).blob();
+    return await createImageBitmap(blob);
+  },
+
+  /**
+   * @private
+   */
+  async _toDataUrl(canvas) {
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: CONFIG.SCREENSHOT_JPEG_QUALITY / 100 });
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  },
+
+  /**
+   * @private
+   */
+  _result(dataUrl) {
+    return { data: dataUrl.split(',')[1], dataUrl };
+  },
+
+  // ============ Injected into the page ============
+  // These run in the page via executeScript, so they must be self-contained.
+  // Written as function expressions: executeScript re-parses func.toString(),
+  // which fails for method shorthand.
+
+  /**
+   * Scroll to y and wait for the frame to paint
+   * @private
+   */
+  _scrollForCapture: function (y, hideFixed) {
+    if (hideFixed) {
+      for (const el of document.querySelectorAll('body *')) {
+        const position = getComputedStyle(el).position;
+        if ((position === 'fixed' || position === 'sticky') && !el.hasAttribute('data-wo-hidden')) {
+          el.setAttribute('data-wo-hidden', el.style.visibility);
+          el.style.visibility = 'hidden';
+        }
+      }
+    }
+    window.scrollTo({ left: window.scrollX, top: y, behavior: 'instant' });
+    return new Promise(resolve => {
+      requestAnimationFrame(() => requestAnimationFrame(() => resolve(window.scrollY)));
+    });
+  },
+
+  /**
+   * Undo _scrollForCapture
+   * @private
+   */
+  _restoreAfterCapture: function (scrollX, scrollY) {
+    for (const el of document.querySelectorAll('[data-wo-hidden]')) {
+      el.style.visibility = el.getAttribute('data-wo-hidden');
+      el.removeAttribute('data-wo-hidden');
+    }
+    window.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+  },
+
+  /**
+   * Overlay that resolves with the dragged rectangle, or null on Escape
+   * @private
+   */
+  _selectRegion: function () {
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;cursor:crosshair;background:rgba(0,0,0,0.25);';
+      const box = document.createElement('div');
+      box.style.cssText = 'position:fixed;border:2px dashed #667eea;background:rgba(102,126,234,0.15);display:none;pointer-events:none;';
+      const hint = document.createElement('div');
+      hint.textContent = 'Drag over a chart or table to analyze it · Esc to cancel';
+      hint.style.cssText = 'position:fixed;top:12px;left:50%;transform:translateX(-50%);padding:6px 12px;border-radius:6px;background:#333;color:#fff;font:13px system-ui,sans-serif;pointer-events:none;';
+      overlay.append(box, hint);
+      document.documentElement.appendChild(overlay);
+
+      let start = null;
+      const finish = (rect) => {
+        document.removeEventListener('keydown', onKey, true);
+        overlay.remove();
+        resolve(rect);
+      };
+      const onKey = (e) => {
+        if (e.key === 'Escape') finish(null);
+      };
+      const rectFrom = (e) => ({
+        x: Math.min(start.x, e.clientX),
+        y: Math.min(start.y, e.clientY),
+        width: Math.abs(e.clientX - start.x),
+        height: Math.abs(e.clientY - start.y)
+      });
+
+      document.addEventListener('keydown', onKey, true);
+      overlay.addEventListener('mousedown', (e) => {
+        start = { x: e.clientX, y: e.clientY };
+        e.preventDefault();
+      });
+      overlay.addEventListener('mousemove', (e) => {
+        if (!start) return;
+        const rect = rectFrom(e);
+        Object.assign(box.style, {
+          display: 'block',
+          left: `${rect.x}px`,
+          top: `${rect.y}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+      });
+      overlay.addEventListener('mouseup', (e) => {
+        if (!start) return;
+        const rect = rectFrom(e);
+        // Ignore stray clicks; keep waiting for a real drag
+        if (rect.width < 10 || rect.height < 10) {
+          start = null;
+          box.style.display = 'none';
+          return;
+        }
+        overlay.style.display = 'none';
+        requestAnimationFrame(() => finish({ ...rect, viewportWidth: window.innerWidth }));
+      });
+    });
+  }
+};
+
+// Freeze public interface
+Object.freeze(ScreenshotService);
@@ -0,0 +1,236 @@
+/**
+ * Site-specific extractors for pages where generic article scoring fails
+ * (social threads, video pages, link aggregators). Injected alongside
+ * content-extractor.js; ContentExtractor.extract consults the registry first.
+ * Each extractor returns {title, description, text}, or null to fall back to
+ * the generic engine.
+ */
+
+// Declared with `var` so the file can be injected more than once per tab
+var SiteExtractors = {
+  // hostname -> extractor(doc, url); subdomains match their parent
+  _registry: new Map(),
+
+  MAX_COMMENTS: 10,
+
+  /**
+   * Register an extractor for one or more hostnames
+   * @param {string[]} hostnames - e.g. ['x.com', 'twitter.com']
+   * @param {Function} extractor - (doc, url) => {title, description, text} | null | Promise
+   */
+  register(hostnames, extractor) {
+    for (const hostname of hostnames) {
+      this._registry.set(hostname, extractor);
+    }
+  },
+
+  /**
+   * Find the extractor for a hostname
+   * @param {string} hostname - Page hostname
+   * @returns {Function|null}
+   */
+  find(hostname) {
+    for (let host = hostname; host.includes('.'); host = host.substring(host.indexOf('.') + 1)) {
+      if (this._registry.has(host)) return this._registry.get(host);
+    }
+    return null;
+  },
+
+  /**
+   * Collapse whitespace in an element's text
+   * @private
+   */
+  _text(el) {
+    return (el?.innerText || el?.textContent || '').replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  },
+
+  /**
+   * Join labelled sections, skipping empty ones
+   * @private
+   */
+  _sections(sections) {
+    return sections
+      .filter(([, body]) => body)
+      .map(([label, body]) => `${label}:\n${body}`)
+      .join('\n\n');
+  },
+
+  // ============ X / Twitter ============
+
+  /**
+   * Full thread with quoted posts
+   */
+  extractTwitter(doc) {
+    const posts = Array.from(doc.querySelectorAll('article[data-testid="tweet"]'))
+      .map(article => {
+        const author = this._text(article.querySelector('[data-testid="User-Name"]')).split('\n').slice(0, 2).join(' ');
+        // The first tweetText is the post itself; any further ones are quoted posts
+        const [body, ...quoted] = Array.from(article.querySelectorAll('[data-testid="tweetText"]')).map(el => this._text(el));
+        if (!body && quoted.length === 0) return '';
+        return [
+          `${author}: ${body || ''}`,
+          ...quoted.map(q => `  Quoting: ${q}`)
+        ].join('\n');
+      })
+      .filter(Boolean);
+
+    if (posts.length === 0) return null;
+
+    return {
+      title: doc.title,
+      description: posts[0].substring(0, 200),
+      text: this._sections([['Thread', posts.join('\n\n')]])
+    };
+  },
+
+  // ============ Reddit ============
+
+  /**
+   * Post plus top comments, for both the current and old Reddit layouts
+   */
+  extractReddit(doc) {
+    // Current layout (web components)
+    const post = doc.querySelector('shreddit-post');
+    if (post) {
+      const title = post.getAttribute('post-title') || this._text(post.querySelector('[slot="title"]'));
+      const body = this._text(post.querySelector('[slot="text-body"]'));
+      const link = post.getAttribute('content-href') || '';
+      const comments = Array.from(doc.querySelectorAll('shreddit-comment[depth="0"]'))
+        .slice(0, this.MAX_COMMENTS)
+        .map(c => `${c.getAttribute('author') || 'user'} (${c.getAttribute('score') || 0} points): ${this._text(c.querySelector('[slot="comment"]'))}`);
+
+      return {
+        title,
+        description: post.getAttribute('subreddit-prefixed-name') || '',
+        text: this._sections([
+          ['Post', [title, body, link && !link.includes('reddit.com') ? `Link: ${link}` : ''].filter(Boolean).join('\n')],
+          ['Top comments', comments.join('\n\n')]
+        ])
+      };
+    }
+
+    // Old layout
+    const thing = doc.querySelector('.thing.link');
+    if (thing) {
+      const title = this._text(thing.querySelector('a.title'));
+      const body = this._text(thing.querySelector('.usertext-body'));
+      const comments = Array.from(doc.querySelectorAll('.commentarea > .sitetable > .thing.comment'))
+        .slice(0, this.MAX_COMMENTS)
+        .map(c => `${c.getAttribute('data-author') || 'user'}: ${this._text(c.querySelector(':scope > .entry .usertext-body'))}`);
+
+      return {
+        title,
+        description: thing.getAttribute('data-subreddit-prefixed') || '',
+        text: this._sections([['Post', [title, body].filter(Boolean).join('\n')], ['Top comments', comments.join('\n\n')]])
+      };
+    }
+
+    return null;
+  },
+
+  // ============ YouTube ============
+
+  /**
+   * Title, description and captions/transcript when available
+   */
+  async extractYouTube(doc, url) {
+    const videoId = new URL(url).searchParams.get('v');
+    if (!videoId) return null;
+
+    const title = this._text(doc.querySelector('h1.ytd-watch-metadata, #title h1'))
+      || doc.querySelector('meta[property="og:title"]')?.content || doc.title;
+    const channel = this._text(doc.querySelector('ytd-channel-name a, #owner #channel-name'));
+    const description = this._text(doc.querySelector('#description-inline-expander, ytd-text-inline-expander'))
+      || doc.querySelector('meta[name="description"]')?.content || '';
+
+    const transcript = this._readYouTubeTranscriptPanel(doc) || await this._fetchYouTubeCaptions(doc, videoId);
+
+    return {
+      title,
+      description,
+      text: this._sections([
+        ['Video', [title, channel && `Channel: ${channel}`].filter(Boolean).join('\n')],
+        ['Description', description],
+        ['Transcript', transcript]
+      ])
+    };
+  },
+
+  /**
+   * Transcript from the "Show transcript" panel, if the user opened it
+   * @private
+   */
+  _readYouTubeTranscriptPanel(doc) {
+    return Array.from(doc.querySelectorAll('ytd-transcript-segment-renderer .segment-text'))
+      .map(el => this._text(el))
+      .join(' ');
+  },
+
+  /**
+   * Captions via the player response embedded in the page
+   * The embedded response goes stale after in-app navigation, so it is only
+   * used when it belongs to the current video.
+   * @private
+   */
+  async _fetchYouTubeCaptions(doc, videoId) {
+    try {
+      let playerResponse = null;
+      for (const script of doc.querySelectorAll('script')) {
+        const match = script.textContent.match(/ytInitialPlayerResponse\s*=\s*(\{.+?\});(?:var|\s*<\/script|\s*$)/s);
+        if (match) {
+          playerResponse = JSON.parse(match[1]);
+          break;
+        }
+      }
+      if (playerResponse?.videoDetails?.videoId !== videoId) return '';
+
+      const tracks = playerResponse.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+      const track = tracks.find(t => t.languageCode?.startsWith('en')) || tracks[0];
+      if (!track?.baseUrl) return '';
+
+      const response = await fetch(`${track.baseUrl}&fmt=json3`);
+      if (!response.ok) return '';
+      const data = await response.json();
+
+      return (data.events || [])
+        .flatMap(e => (e.segs || []).map(s => s.utf8))
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+    } catch (e) {
+      return '';
+    }
+  },
+
+  // ============ Hacker News ============
+
+  /**
+   * Linked article title plus top-level comments
+   */
+  extractHackerNews(doc) {
+    const titleLink = doc.querySelector('.titleline > a');
+    if (!titleLink) return null;
+
+    const title = this._text(titleLink);
+    const site = this._text(doc.querySelector('.sitestr'));
+    const topText = this._text(doc.querySelector('.toptext'));
+    const comments = Array.from(doc.querySelectorAll('tr.athing.comtr'))
+      .filter(row => row.querySelector('td.ind')?.getAttribute('indent') === '0')
+      .slice(0, this.MAX_COMMENTS)
+      .map(row => `${this._text(row.querySelector('.hnuser')) || 'user'}: ${this._text(row.querySelector('.commtext'))}`);
+
+    return {
+      title,
+      description: site ? `Discussion of an article from ${site}` : '',
+      text: this._sections([
+        ['Submission', [title, site && `Source: ${site} (${titleLink.href})`, topText].filter(Boolean).join('\n')],
+        ['Top comments', comments.join('\n\n')]
+      ])
+    };
+  }
+};
+
+SiteExtractors.register(['x.com', 'twitter.com'], (doc, url) => SiteExtractors.extractTwitter(doc, url));
+SiteExtractors.register(['reddit.com'], (doc, url) => SiteExtractors.extractReddit(doc, url));
+SiteExtractors.register(['youtube.com'], (doc, url) => SiteExtractors.extractYouTube(doc, url));
+SiteExtractors.register(['news.ycombinator.com'], (doc, url) => SiteExtractors.extractHackerNews(doc, url));
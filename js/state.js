@@ -3,10 +3,18 @@
  */
 
 const AppState = {
+  llmBackend: 'gemini', // 'gemini' | 'openai' | 'ollama', see LlmBackends
+  llmEndpoints: {}, // Backend key -> { baseUrl, model, apiKey, embeddingModel } for the non-Gemini backends
   geminiApiKey: '',
   geminiModel: 'gemini-3-flash-preview',
   showAnalysis: false,
   agenticMode: false,
+  summaryLanguage: 'page', // 'page' or an ISO 639-1 code
+  screenshotMode: 'viewport', // 'viewport' | 'fullPage' | 'region'
+  marketProviders: [...CONFIG.DEFAULT_MARKET_PROVIDERS], // Provider keys, see MarketProviders
+  includeResolved: false, // Also show resolved markets as historical context
+  sortByMovers: false, // Order results by their largest 24-hour move
+  relevanceThreshold: null, // Minimum embedding similarity; null for the backend's default
 
   // Track when fallback to rule-based analysis is used
   fallbackUsed: {
@@ -25,8 +33,10 @@ const AppState = {
    * Load state from Chrome storage
    */
   async load() {
-    const settings = await chrome.storage.local.get(['geminiApiKey', 'geminiModel', 'showAnalysis', 'agenticMode']);
+    const settings = await chrome.storage.local.get(['llmBackend', 'llmEndpoints', 'geminiApiKey', 'geminiModel', 'showAnalysis', 'agenticMode', 'summaryLanguage', 'screenshotMode', 'marketProviders', 'includeResolved', 'sortByMovers', 'relevanceThreshold']);
 
+    this.llmBackend = settings.llmBackend || 'gemini';
+    this.llmEndpoints = settings.llmEndpoints || {};
     if (settings.geminiApiKey) {
       this.geminiApiKey = settings.geminiApiKey;
     }
@@ -35,6 +45,12 @@ const AppState = {
     }
     this.showAnalysis = settings.showAnalysis || false;
     this.agenticMode = settings.agenticMode || false;
+    this.summaryLanguage = settings.summaryLanguage || 'page';
+    this.screenshotMode = settings.screenshotMode || 'viewport';
+    this.marketProviders = settings.marketProviders || [...CONFIG.DEFAULT_MARKET_PROVIDERS];
+    this.includeResolved = settings.includeResolved || false;
+    this.sortByMovers = settings.sortByMovers || false;
+    this.relevanceThreshold = settings.relevanceThreshold ?? null;
   },
 
   /**
@@ -47,30 +63,50 @@ const AppState = {
     await chrome.storage.local.set({ [key]: value });
   },
 
+  /**
+   * Base URL, models and API key set for a non-Gemini backend
+   * @param {string} [backend] - Backend key; defaults to the selected one
+   * @returns {{baseUrl: string, model: string, apiKey: string, embeddingModel: string}} Empty strings for unset fields
+   */
+  llmEndpoint(backend = this.llmBackend) {
+    return { baseUrl: '', model: '', apiKey: '', embeddingModel: '', ...this.llmEndpoints[backend] };
+  },
+
+  /**
+   * Save fields of the selected backend's endpoint
+   * @param {Object} changes - Any of baseUrl, model, apiKey, embeddingModel
+   */
+  async saveLlmEndpoint(changes) {
+    await this.save('llmEndpoints', {
+      ...this.llmEndpoints,
+      [this.llmBackend]: { ...this.llmEndpoint(), ...changes }
+    });
+  },
+
   /**
    * Check if using Gemini Nano (on-device)
    * @returns {boolean}
    */
   isUsingNano() {
-    return this.geminiModel === 'gemini-nano';
+    return this.llmBackend === 'gemini' && this.geminiModel === 'gemini-nano';
   },
 
   /**
-   * Check if API key is configured when required
+   * Check if the selected backend has what it needs (an API key, or a model name)
    * @returns {boolean}
    */
   hasRequiredApiKey() {
     // Nano doesn't require API key
     if (this.isUsingNano()) return true;
-    return Boolean(this.geminiApiKey);
+    return LlmBackends.active().isConfigured();
   },
 
   /**
-   * Check if agentic mode is available (requires cloud API, not Nano)
+   * Check if agentic mode is available (requires a cloud or server model, not Nano)
    * @returns {boolean}
    */
   isAgenticAvailable() {
-    return !this.isUsingNano() && Boolean(this.geminiApiKey);
+    return !this.isUsingNano() && this.hasRequiredApiKey();
   },
 
   /**
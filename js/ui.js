@@ -6,6 +6,12 @@ const UI = {
   // Cached DOM element references
   elements: {},
 
+  // MarketProviders.eventKey -> event for the rendered cards, so charts can look up their markets
+  _renderedEvents: new Map(),
+
+  // Series key -> date series, for the rendered date selectors
+  _renderedSeries: new Map(),
+
   /**
    * Initialize UI and cache DOM references
    */
@@ -19,12 +25,28 @@ const UI = {
       keywords: document.getElementById('keywords'),
       keywordsList: document.getElementById('keywordsList'),
       marketsList: document.getElementById('marketsList'),
+      searchWarning: document.getElementById('searchWarning'),
       progressText: document.getElementById('progressText'),
       screenshotPreview: document.getElementById('screenshotPreview'),
       screenshotImg: document.getElementById('screenshotImg'),
       settingsPanel: document.getElementById('settingsPanel'),
+      llmBackend: document.getElementById('llmBackend'),
+      llmEndpointGroup: document.getElementById('llmEndpointGroup'),
+      llmBaseUrl: document.getElementById('llmBaseUrl'),
+      llmModel: document.getElementById('llmModel'),
+      llmApiKeyGroup: document.getElementById('llmApiKeyGroup'),
+      llmApiKey: document.getElementById('llmApiKey'),
+      llmEmbeddingModel: document.getElementById('llmEmbeddingModel'),
+      relevanceThresholdGroup: document.getElementById('relevanceThresholdGroup'),
+      relevanceThreshold: document.getElementById('relevanceThreshold'),
       geminiKey: document.getElementById('geminiKey'),
+      geminiModelGroup: document.getElementById('geminiModelGroup'),
       geminiModel: document.getElementById('geminiModel'),
+      summaryLanguage: document.getElementById('summaryLanguage'),
+      screenshotMode: document.getElementById('screenshotMode'),
+      marketProviders: document.querySelectorAll('input[name="marketProvider"]'),
+      sortByMovers: document.getElementById('sortByMovers'),
+      includeResolved: document.getElementById('includeResolved'),
       showAnalysis: document.getElementById('showAnalysis'),
       apiKeyGroup: document.getElementById('apiKeyGroup'),
       nanoOption: document.getElementById('nanoOption'),
@@ -34,8 +56,21 @@ const UI = {
       agenticMode: document.getElementById('agenticMode'),
       agenticModeRow: document.getElementById('agenticModeRow'),
       agentDebugLog: document.getElementById('agentDebugLog'),
-      showAnalysisLabel: document.getElementById('showAnalysisLabel')
+      showAnalysisLabel: document.getElementById('showAnalysisLabel'),
+      searchPanel: document.getElementById('searchPanel'),
+      searchQuery: document.getElementById('searchQuery'),
+      searchTag: document.getElementById('searchTag'),
+      searchStatus: document.getElementById('searchStatus'),
+      searchEndDateMin: document.getElementById('searchEndDateMin'),
+      searchEndDateMax: document.getElementById('searchEndDateMax'),
+      searchMinVolume: document.getElementById('searchMinVolume'),
+      searchMinLiquidity: document.getElementById('searchMinLiquidity'),
+      searchSort: document.getElementById('searchSort'),
+      searchSummary: document.getElementById('searchSummary')
     };
+
+    this._bindPriceCharts();
+    this._bindSeriesSelectors();
   },
 
   // ============ Loading State ============
@@ -126,6 +161,9 @@ const UI = {
    * @param {Array} [agentDebugEntries] - Optional agent debug log entries
    */
   displayResults(analysis, events, agentDebugEntries) {
+    this.showSearchFailures(null);
+    this.elements.analysisText.classList.remove('streaming');
+
     // Display analysis and keywords (conditionally)
     if (AppState.showAnalysis) {
       if (AppState.agenticMode && agentDebugEntries) {
@@ -144,13 +182,136 @@ const UI = {
     }
 
     // Display events/markets
-    this.renderMarkets(events);
+    this.renderMarkets(AppState.sortByMovers ? Utils.sortByMovement(events) : events);
 
     // Show results, hide loading
     this.showResults();
     this.hideLoading();
   },
 
+  /**
+   * Warn that some market searches failed, so the list may be incomplete
+   * @param {{failed: number, total: number}|null} outcome - Counts from MarketProviders.search
+   */
+  showSearchFailures(outcome) {
+    const failed = outcome?.failed || 0;
+    this.elements.searchWarning.textContent = failed > 0
+      ? `${failed} of ${outcome.total} searches failed, so some markets may be missing.`
+      : '';
+    this.elements.searchWarning.classList.toggle('hidden', failed === 0);
+  },
+
+  // ============ Streaming Results ============
+
+  /**
+   * Clear the results and show them while an analysis is still running
+   * Cards are added as market searches finish and reordered by the relevance
+   * filter; displayResults then redraws them with price history.
+   */
+  startStreamingResults() {
+    this.showSearchFailures(null);
+    this.elements.analysis.classList.add('hidden');
+    this.elements.keywords.classList.add('hidden');
+    this.elements.agentDebugLog.classList.add('hidden');
+    this.elements.analysisText.classList.add('streaming');
+    this.elements.marketsList.innerHTML = '';
+    this._renderedEvents = new Map();
+    this._renderedSeries = new Map();
+    this.showResults();
+  },
+
+  /**
+   * Show the summary and keywords received so far
+   * @param {{summary: string, keywords: string[]}} analysis - Partial or final analysis
+   * @param {boolean} [done] - Whether the analysis is complete
+   */
+  updateStreamingAnalysis(analysis, done = false) {
+    this.elements.analysisText.classList.toggle('streaming', !done);
+    if (!AppState.showAnalysis || !analysis.summary) return;
+    this.renderAnalysis(analysis);
+  },
+
+  /**
+   * Add cards for events not shown yet, and redraw those that gained markets
+   * @param {Array} events - Every event found so far
+   */
+  addStreamingEvents(events) {
+    for (const event of events) {
+      const key = MarketProviders.eventKey(event);
+      const shown = this._renderedEvents.get(key);
+      if (shown && shown.markets.length === event.markets.length) continue;
+
+      this._renderedEvents.set(key, event);
+      const card = this._renderStreamingCard(event, key);
+      const existing = this._findStreamingCard(key);
+      if (existing) {
+        existing.replaceWith(card);
+      } else {
+        this._placeStreamingCard(card, event);
+      }
+    }
+  },
+
+  /**
+   * Put the cards in the relevance filter's order, dropping the events it left out
+   * @param {Array} events - Ranked events
+   */
+  reorderStreamingEvents(events) {
+    const ranked = new Map(events.map(event => [MarketProviders.eventKey(event), event]));
+    this.elements.marketsList.querySelectorAll('[data-event-key]').forEach(card => {
+      if (!ranked.has(card.dataset.eventKey)) card.remove();
+    });
+
+    // Moving each card to the end of its section, in rank order, sorts them
+    for (const [key, event] of ranked) {
+      this._placeStreamingCard(this._findStreamingCard(key) || this._renderStreamingCard(event, key), event);
+    }
+    this._renderedEvents = ranked;
+
+    const resolved = this.elements.marketsList.querySelector('.resolved-section');
+    if (resolved && !resolved.querySelector('[data-event-key]')) resolved.remove();
+  },
+
+  /**
+   * Card element for an event, tagged with its key
+   * @private
+   */
+  _renderStreamingCard(event, key) {
+    const template = document.createElement('template');
+    template.innerHTML = (event.closed ? this._renderResolvedEvent(event) : this._renderEventCard(event)).trim();
+    const card = template.content.firstElementChild;
+    card.dataset.eventKey = key;
+    return card;
+  },
+
+  /**
+   * @private
+   */
+  _findStreamingCard(key) {
+    return this.elements.marketsList.querySelector(`[data-event-key="${CSS.escape(key)}"]`);
+  },
+
+  /**
+   * Append a card to the open events, or to the resolved section after them
+   * @private
+   */
+  _placeStreamingCard(card, event) {
+    const list = this.elements.marketsList;
+    let resolved = list.querySelector('.resolved-section');
+    if (!event.closed) {
+      list.insertBefore(card, resolved);
+      return;
+    }
+
+    if (!resolved) {
+      resolved = document.createElement('div');
+      resolved.className = 'resolved-section';
+      resolved.innerHTML = '<h4 class="resolved-heading">Resolved</h4>';
+      list.appendChild(resolved);
+    }
+    resolved.appendChild(card);
+  },
+
   /**
    * Render analysis section
    * @param {Object} analysis - Analysis result
@@ -175,6 +336,8 @@ const UI = {
 
   /**
    * Render markets list
+   * Recurring events share one card with a date selector, and resolved events
+   * follow the open ones in their own section.
    * @param {Array} events - Market events to display
    */
   renderMarkets(events) {
@@ -188,59 +351,230 @@ const UI = {
             </svg>
           </div>
           <div class="no-markets-title">No matching markets found</div>
-          <div class="no-markets-text">Try analyzing a page with topics that have active prediction markets on Polymarket</div>
+          <div class="no-markets-text">Try analyzing a page with topics that have active prediction markets</div>
         </div>
       `;
       return;
     }
 
-    this.elements.marketsList.innerHTML = events.map(event => {
-      // Sort markets by probability (highest first)
-      const sortedMarkets = [...event.markets].sort((a, b) => b.probability - a.probability);
+    this._renderedEvents = new Map(events.map(event => [MarketProviders.eventKey(event), event]));
 
-      // For events with multiple markets, show grouped view
-      if (sortedMarkets.length > 1) {
-        return this._renderMultiMarketEvent(event, sortedMarkets);
-      } else {
-        return this._renderSingleMarketEvent(event, sortedMarkets[0]);
-      }
+    const resolved = events.filter(event => event.closed);
+    const items = MarketSeries.groupByDate(events.filter(event => !event.closed));
+    this._renderedSeries = new Map(items.filter(item => item.events).map(series => [series.key, series]));
+
+    const open = items.map(item => (item.events ? this._renderSeries(item) : this._renderEventCard(item)));
+
+    this.elements.marketsList.innerHTML = open.join('') + (resolved.length > 0 ? `
+      <div class="resolved-section">
+        <h4 class="resolved-heading">Resolved</h4>
+        ${resolved.map(event => this._renderResolvedEvent(event)).join('')}
+      </div>
+    ` : '');
+  },
+
+  /**
+   * Render the card for an open event
+   * @private
+   */
+  _renderEventCard(event) {
+    // Strike ladders ("above $X" for several X) read better as a distribution
+    const ladder = MarketSeries.ladder(event);
+    if (ladder) {
+      return this._renderDistributionEvent(event, ladder);
+    }
+
+    // Sort markets by probability (highest first)
+    const sortedMarkets = [...event.markets].sort((a, b) => b.probability - a.probability);
+
+    // For events with multiple markets, show grouped view
+    if (sortedMarkets.length > 1) {
+      return this._renderMultiMarketEvent(event, sortedMarkets);
+    } else {
+      return this._renderSingleMarketEvent(event, sortedMarkets[0]);
+    }
+  },
+
+  /**
+   * Render recurring events as one card with a date selector
+   * @private
+   */
+  _renderSeries(series) {
+    const selected = MarketSeries.defaultEvent(series);
+    const years = new Set(series.events.map(event => event.endDate.slice(0, 4)));
+    const options = series.events.map(event => {
+      const key = MarketProviders.eventKey(event);
+      const date = new Date(event.endDate).toLocaleDateString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        ...(years.size > 1 && { year: 'numeric' })
+      });
+      return `<option value="${Utils.escapeAttribute(key)}"${event === selected ? ' selected' : ''}>${date}</option>`;
     }).join('');
+
+    return `
+      <div class="series-group" data-series-key="${Utils.escapeAttribute(series.key)}">
+        <div class="series-header">
+          <span class="series-label">Recurring · ${series.events.length} dates</span>
+          <select class="series-date-select" aria-label="Date">${options}</select>
+        </div>
+        <div class="series-body">${this._renderEventCard(selected)}</div>
+      </div>
+    `;
   },
 
   /**
-   * Render event card with multiple markets
+   * Swap the card shown for a series when another date is picked
+   * Uses delegation, since cards are re-rendered with innerHTML.
    * @private
    */
-  _renderMultiMarketEvent(event, sortedMarkets) {
+  _bindSeriesSelectors() {
+    this.elements.marketsList.addEventListener('change', (e) => {
+      const select = e.target.closest('.series-date-select');
+      if (!select) return;
+      const event = this._renderedEvents.get(select.value);
+      if (!event) return;
+      select.closest('.series-group').querySelector('.series-body').innerHTML = this._renderEventCard(event);
+    });
+  },
+
+  /**
+   * Render a strike ladder as its implied distribution, with the markets behind it collapsed
+   * @private
+   */
+  _renderDistributionEvent(event, ladder) {
+    const { bins, median, markets } = ladder;
     return `
       <div class="event-card">
         <div class="event-header">
-          ${event.eventImage ? `<img class="event-image" src="${event.eventImage}" alt="" />` : ''}
+          ${this._renderEventImage(event)}
           <div class="event-info">
-            <a href="${event.url}" target="_blank" class="event-title">${Utils.escapeHtml(event.eventTitle)}</a>
-            <div class="event-volume">$${Utils.formatVolume(event.eventVolume)} Vol.</div>
+            <a href="${this._linkUrl(event.url)}" target="_blank" class="event-title">${Utils.escapeHtml(event.eventTitle)}</a>
+            <div class="event-volume">${this._renderVenueBadge(event)}${this._currency(event)}${Utils.formatVolume(event.eventVolume)} Vol.${this._renderActivity(event, event)}</div>
           </div>
         </div>
+        <div class="distribution">
+          <div class="distribution-median">Implied median <strong>${Utils.escapeHtml(median.label)}</strong></div>
+          ${Utils.generateDistributionChart(bins, median.position)}
+          <div class="distribution-axis">
+            <span>${Utils.escapeHtml(bins[0].label)}</span>
+            <span>${Utils.escapeHtml(bins[bins.length - 1].label)}</span>
+          </div>
+        </div>
+        <details class="ladder-details">
+          <summary>All ${markets.length} markets</summary>
+          <div class="outcomes-table">
+            ${markets.map(market => this._renderOutcomeRow(event, market)).join('')}
+          </div>
+        </details>
+        ${this._renderChartDetails(event)}
+        ${this._renderResolution(event.description || markets[0].description, event.resolutionSource)}
+        ${this._renderSources(event)}
+        ${this._renderRelevance(event)}
+      </div>
+    `;
+  },
+
+  /**
+   * Render a resolved event: each market's outcome and last traded price
+   * Winning markets come first.
+   * @private
+   */
+  _renderResolvedEvent(event) {
+    const won = (market) => Number(market.resolvedOutcome === 'Yes');
+    const markets = [...event.markets]
+      .sort((a, b) => won(b) - won(a) || b.probability - a.probability)
+      .slice(0, CONFIG.RESOLVED_MAX_ROWS);
+    const source = event.markets.length === 1 ? event.markets[0] : event;
+
+    return `
+      <div class="event-card resolved-card">
+        <a href="${this._linkUrl(event.url)}" target="_blank" class="event-title">${Utils.escapeHtml(event.eventTitle)}</a>
         <div class="outcomes-table">
-          ${sortedMarkets.map(market => {
-            const priceChange = Utils.calculatePriceChange(market.priceHistory);
-            return `
-            <div class="outcome-row">
-              <span class="outcome-label">${Utils.escapeHtml(market.title)}</span>
-              <div class="probability-circle" style="--progress: ${market.probability}">
-                <svg viewBox="0 0 36 36">
-                  <circle class="circle-bg" cx="18" cy="18" r="15.5"/>
-                  <circle class="circle-fill" cx="18" cy="18" r="15.5"
-                    stroke-dasharray="${market.probability}, 100"/>
-                </svg>
-                <span class="circle-text">${market.probability}</span>
-              </div>
-              ${priceChange ? `<span class="price-change ${priceChange.direction}">${priceChange.arrow}${priceChange.value}%</span>` : '<span class="price-change-placeholder"></span>'}
+          ${markets.map(market => `
+            <div class="outcome-row resolved-row">
+              <span class="outcome-label">${event.markets.length > 1 ? Utils.escapeHtml(market.title) : ''}</span>
               ${Utils.generateSparkline(market.priceHistory, CONFIG.SPARKLINE_SMALL_WIDTH, CONFIG.SPARKLINE_SMALL_HEIGHT)}
-              <span class="outcome-volume">$${Utils.formatVolume(market.volume)}</span>
+              <span class="resolved-last">Last traded ${market.yesNo ? '' : `${Utils.escapeHtml(market.outcomes?.[0]?.label || '')} `}${market.probability}%</span>
+              ${this._renderResolvedOutcome(market)}
             </div>
-          `}).join('')}
+          `).join('')}
         </div>
+        ${event.markets.length > markets.length ? `<div class="resolved-more">+${event.markets.length - markets.length} more</div>` : ''}
+        <div class="market-info">
+          <span>${this._renderVenueBadge(event)}Volume: ${this._currency(event)}${Utils.formatVolume(event.eventVolume)}${this._renderActivity(source, event)}</span>
+        </div>
+        ${this._renderChartDetails(event)}
+        ${this._renderResolution(event.description || source.description, event.resolutionSource || source.resolutionSource)}
+        ${this._renderSources(event)}
+        ${this._renderRelevance(event)}
+      </div>
+    `;
+  },
+
+  /**
+   * Badge with a closed market's final outcome
+   * @private
+   */
+  _renderResolvedOutcome(market) {
+    if (!market.resolvedOutcome) {
+      return '<span class="resolved-outcome resolved-pending">Awaiting resolution</span>';
+    }
+    const kind = { Yes: 'yes', No: 'no' }[market.resolvedOutcome] || 'other';
+    return `<span class="resolved-outcome resolved-${kind}">${Utils.escapeHtml(market.resolvedOutcome)}</span>`;
+  },
+
+  /**
+   * Render event card with multiple markets
+   * @private
+   */
+  _renderMultiMarketEvent(event, sortedMarkets) {
+    return `
+      <div class="event-card">
+        <div class="event-header">
+          ${this._renderEventImage(event)}
+          <div class="event-info">
+            <a href="${this._linkUrl(event.url)}" target="_blank" class="event-title">${Utils.escapeHtml(event.eventTitle)}</a>
+            <div class="event-volume">${this._renderVenueBadge(event)}${this._currency(event)}${Utils.formatVolume(event.eventVolume)} Vol.${this._renderActivity(event, event)}</div>
+          </div>
+        </div>
+        ${event.outcomeSumOff ? `<div class="outcome-sum-warning">These outcomes are mutually exclusive but add up to ${event.outcomeSum}%, so some prices may be stale.</div>` : ''}
+        <div class="outcomes-table">
+          ${sortedMarkets.map(market => this._renderOutcomeRow(event, market)).join('')}
+        </div>
+        ${this._renderChartDetails(event)}
+        ${this._renderResolution(event.description || sortedMarkets[0].description, event.resolutionSource)}
+        ${this._renderDepthDetails(sortedMarkets)}
+        ${this._renderSources(event)}
+        ${this._renderRelevance(event)}
+      </div>
+    `;
+  },
+
+  /**
+   * Render one market's row in a multi-market event
+   * @private
+   */
+  _renderOutcomeRow(event, market) {
+    // For non-Yes/No markets, say which outcome the number is for
+    const label = market.outcomes?.length && !market.yesNo
+      ? `${market.title} · ${market.outcomes[0].label}`
+      : market.title;
+    return `
+      <div class="outcome-row${this._isFlagged(market) ? ' flagged' : ''}" data-market-token="${Utils.escapeAttribute(market.tokenId)}">
+        <span class="outcome-label">${Utils.escapeHtml(label)}${this._renderFlags(market)}</span>
+        ${this._renderConfidenceDot(market)}
+        <div class="probability-circle" style="--progress: ${market.probability}">
+          <svg viewBox="0 0 36 36">
+            <circle class="circle-bg" cx="18" cy="18" r="15.5"/>
+            <circle class="circle-fill" cx="18" cy="18" r="15.5"
+              stroke-dasharray="${market.probability}, 100"/>
+          </svg>
+          <span class="circle-text">${market.probability}</span>
+        </div>
+        ${this._renderPriceChange(market, '<span class="price-change-placeholder"></span>')}
+        ${Utils.generateSparkline(market.priceHistory, CONFIG.SPARKLINE_SMALL_WIDTH, CONFIG.SPARKLINE_SMALL_HEIGHT)}
+        <span class="outcome-volume">${this._currency(event)}${Utils.formatVolume(market.volume)}</span>
       </div>
     `;
   },
@@ -250,11 +584,14 @@ const UI = {
    * @private
    */
   _renderSingleMarketEvent(event, market) {
-    const priceChange = Utils.calculatePriceChange(market.priceHistory);
+    if (market.outcomes?.length > 1 && !market.yesNo) {
+      return this._renderMultiOutcomeMarket(event, market);
+    }
+
     return `
-      <div class="market-card">
-        <a href="${event.url}" target="_blank" class="market-title">${Utils.escapeHtml(market.question || event.eventTitle)}</a>
-        <div class="market-probability-row">
+      <div class="market-card${this._isFlagged(market) ? ' flagged' : ''}">
+        <a href="${this._linkUrl(event.url)}" target="_blank" class="market-title">${Utils.escapeHtml(market.question || event.eventTitle)}</a>${this._renderFlags(market)}
+        <div class="market-probability-row" data-market-token="${Utils.escapeAttribute(market.tokenId)}">
           <div class="probability-circle large" style="--progress: ${market.probability}">
             <svg viewBox="0 0 36 36">
               <circle class="circle-bg" cx="18" cy="18" r="15.5"/>
@@ -263,16 +600,569 @@ const UI = {
             </svg>
             <span class="circle-text">${market.probability}</span>
           </div>
-          ${priceChange ? `<span class="price-change ${priceChange.direction}">${priceChange.arrow}${priceChange.value}%</span>` : ''}
+          ${this._renderPriceChange(market)}
           ${Utils.generateSparkline(market.priceHistory)}
         </div>
+        ${this._renderMovement(market)}
         <div class="market-info">
-          <span>Volume: $${Utils.formatVolume(market.volume || event.eventVolume)}</span>
+          <span>${this._renderVenueBadge(event)}Volume: ${this._currency(event)}${Utils.formatVolume(market.volume || event.eventVolume)}${this._renderActivity(market, event)}</span>
+          ${this._renderConfidence(market)}
         </div>
+        ${this._renderChartDetails(event)}
+        ${this._renderResolution(market.description || event.description, market.resolutionSource || event.resolutionSource)}
+        ${this._renderDepthDetails([market])}
+        ${this._renderSources(event)}
+        ${this._renderRelevance(event)}
       </div>
     `;
   },
 
+  /**
+   * Render a single market whose outcomes aren't Yes/No (teams, Over/Under, ...)
+   * Every outcome gets its own bar; the sparkline follows the first outcome.
+   * @private
+   */
+  _renderMultiOutcomeMarket(event, market) {
+    return `
+      <div class="market-card${this._isFlagged(market) ? ' flagged' : ''}">
+        <a href="${this._linkUrl(event.url)}" target="_blank" class="market-title">${Utils.escapeHtml(market.question || event.eventTitle)}</a>${this._renderFlags(market)}
+        <div class="outcome-choices">
+          ${market.outcomes.map(outcome => `
+            <div class="outcome-choice" data-outcome-token="${Utils.escapeAttribute(outcome.tokenId)}">
+              <span class="outcome-choice-label">${Utils.escapeHtml(outcome.label)}</span>
+              <div class="outcome-choice-bar"><div style="width: ${outcome.probability}%"></div></div>
+              <span class="outcome-choice-value">${outcome.probability}%</span>
+            </div>
+          `).join('')}
+        </div>
+        <div class="market-probability-row" data-market-token="${Utils.escapeAttribute(market.tokenId)}">
+          <span class="outcome-trend-label">${Utils.escapeHtml(market.outcomes[0].label)}</span>
+          ${this._renderPriceChange(market)}
+          ${Utils.generateSparkline(market.priceHistory)}
+        </div>
+        ${this._renderMovement(market)}
+        <div class="market-info">
+          <span>${this._renderVenueBadge(event)}Volume: ${this._currency(event)}${Utils.formatVolume(market.volume || event.eventVolume)}${this._renderActivity(market, event)}</span>
+          ${this._renderConfidence(market)}
+        </div>
+        ${this._renderChartDetails(event)}
+        ${this._renderResolution(market.description || event.description, market.resolutionSource || event.resolutionSource)}
+        ${this._renderDepthDetails([market])}
+        ${this._renderSources(event)}
+        ${this._renderRelevance(event)}
+      </div>
+    `;
+  },
+
+  /**
+   * Which venue a card's prices come from
+   * @private
+   */
+  _renderVenueBadge(event) {
+    const provider = MarketProviders.get(event.provider);
+    return `<span class="venue-badge venue-${provider.id}">${provider.name}</span>`;
+  },
+
+  /**
+   * Event image, if the venue gave an https URL for one
+   * @private
+   */
+  _renderEventImage(event) {
+    const image = Utils.httpsUrl(event.eventImage);
+    return image ? `<img class="event-image" src="${Utils.escapeAttribute(image)}" alt="" />` : '';
+  },
+
+  /**
+   * Link target for a venue URL; anything but https is dropped
+   * @private
+   */
+  _linkUrl(url) {
+    return Utils.escapeAttribute(Utils.httpsUrl(url) || '#');
+  },
+
+  /**
+   * Volume prefix for the event's venue
+   * @private
+   */
+  _currency(event) {
+    return MarketProviders.get(event.provider).currencySymbol;
+  },
+
+  /**
+   * 24-hour volume and end-date countdown, appended to a volume line
+   * @param {Object} source - Market or event carrying `volume24hr` and `endDate`
+   * @param {Object} event - Event, for its venue's currency
+   * @private
+   */
+  _renderActivity(source, event) {
+    const parts = [];
+    if (source.volume24hr != null) {
+      parts.push(`${this._currency(event)}${Utils.formatVolume(source.volume24hr)} 24h`);
+    }
+    const countdown = Utils.formatCountdown(source.endDate);
+    if (countdown) {
+      parts.push(`<span class="end-countdown" title="${new Date(source.endDate).toLocaleString()}">${countdown}</span>`);
+    }
+    return parts.map(part => ` · ${part}`).join('');
+  },
+
+  /**
+   * Expandable resolution criteria and source
+   * @private
+   */
+  _renderResolution(description, resolutionSource) {
+    if (!description && !resolutionSource) return '';
+
+    let source = '';
+    if (resolutionSource) {
+      const text = Utils.escapeHtml(resolutionSource);
+      const url = Utils.httpsUrl(resolutionSource);
+      source = url ? `<a href="${Utils.escapeAttribute(url)}" target="_blank">${text}</a>` : text;
+    }
+
+    return `
+      <details class="resolution-details">
+        <summary>How this resolves</summary>
+        ${description ? `<p class="resolution-text">${Utils.escapeHtml(description)}</p>` : ''}
+        ${source ? `<p class="resolution-source">Resolution source: ${source}</p>` : ''}
+      </details>
+    `;
+  },
+
+  // ============ Live Prices ============
+
+  /**
+   * Token IDs behind the displayed Polymarket prices (the live feed is Polymarket's)
+   * @returns {string[]}
+   */
+  getDisplayedTokenIds() {
+    const ids = [];
+    for (const event of this._liveEvents()) {
+      for (const market of event.markets) {
+        // Single non-Yes/No markets show a bar for every outcome
+        if (event.markets.length === 1 && market.outcomes?.length > 1 && !market.yesNo) {
+          ids.push(...market.outcomes.map(outcome => outcome.tokenId));
+        } else {
+          ids.push(market.tokenId);
+        }
+      }
+    }
+    return ids.filter(Boolean);
+  },
+
+  /**
+   * Whether market results are on screen
+   * @returns {boolean}
+   */
+  isShowingResults() {
+    return !this.elements.results.classList.contains('hidden');
+  },
+
+  /**
+   * Apply a live price to the cards showing it, flashing them on change
+   * @param {string} tokenId - CLOB token ID
+   * @param {number} price - New price from 0 to 1
+   */
+  updateLivePrice(tokenId, price) {
+    const probability = Math.round(price * 100);
+    const selectorId = CSS.escape(tokenId);
+
+    for (const event of this._liveEvents()) {
+      for (const market of event.markets) {
+        const outcome = market.outcomes?.find(o => o.tokenId === tokenId);
+        const isPrimary = market.tokenId === tokenId;
+        if (!outcome && !isPrimary) continue;
+
+        const previous = isPrimary ? market.probability : outcome.probability;
+        if (previous === probability) continue;
+
+        const updated = [];
+        if (outcome) {
+          outcome.probability = probability;
+          this.elements.marketsList.querySelectorAll(`[data-outcome-token="${selectorId}"]`).forEach(el => {
+            el.querySelector('.outcome-choice-bar div').style.width = `${probability}%`;
+            el.querySelector('.outcome-choice-value').textContent = `${probability}%`;
+            updated.push(el);
+          });
+        }
+        if (isPrimary) {
+          market.probability = probability;
+          market.priceHistory = [...(market.priceHistory || []), { t: Math.floor(Date.now() / 1000), p: price }];
+          this.elements.marketsList.querySelectorAll(`[data-market-token="${selectorId}"]`).forEach(el => {
+            this._refreshMarketPrice(el, market);
+            updated.push(el);
+          });
+        }
+
+        const direction = probability > previous ? 'up' : 'down';
+        updated.forEach(el => this._flashCard(el.closest('.event-card, .market-card'), direction));
+      }
+    }
+  },
+
+  /**
+   * Rendered events that get live price updates (open Polymarket events)
+   * @private
+   */
+  _liveEvents() {
+    return [...this._renderedEvents.values()]
+      .filter(event => !event.closed && MarketProviders.get(event.provider) === PolymarketService);
+  },
+
+  /**
+   * Redraw the probability circle, price change badge, movement line and sparkline in place
+   * @private
+   */
+  _refreshMarketPrice(el, market) {
+    const circle = el.querySelector('.probability-circle');
+    if (circle) {
+      circle.style.setProperty('--progress', market.probability);
+      circle.querySelector('.circle-fill').setAttribute('stroke-dasharray', `${market.probability}, 100`);
+      circle.querySelector('.circle-text').textContent = market.probability;
+    }
+
+    const badge = el.querySelector('.price-change, .price-change-placeholder');
+    if (badge && market.priceHistory?.length >= 2) {
+      badge.outerHTML = this._renderPriceChange(market);
+    }
+
+    const movement = el.nextElementSibling;
+    if (movement?.classList.contains('movement')) {
+      movement.outerHTML = this._renderMovement(market);
+    }
+
+    const sparkline = el.querySelector('svg.sparkline');
+    if (sparkline) {
+      sparkline.outerHTML = Utils.generateSparkline(
+        market.priceHistory,
+        Number(sparkline.getAttribute('width')),
+        Number(sparkline.getAttribute('height'))
+      );
+    }
+  },
+
+  /**
+   * Briefly highlight a card whose price moved
+   * @private
+   */
+  _flashCard(card, direction) {
+    if (!card) return;
+    card.classList.remove('price-flash-up', 'price-flash-down');
+    void card.offsetWidth; // Restart the animation
+    card.classList.add(`price-flash-${direction}`);
+    card.addEventListener('animationend', () => {
+      card.classList.remove(`price-flash-${direction}`);
+    }, { once: true });
+  },
+
+  /**
+   * Expandable price chart; drawn when first opened
+   * Resolved events open on their whole history.
+   * @private
+   */
+  _renderChartDetails(event) {
+    if (this._chartSeries(event).length === 0) return '';
+
+    const initialRange = event.closed ? 'all' : CONFIG.DEFAULT_PRICE_RANGE;
+    const ranges = Object.entries(CONFIG.PRICE_HISTORY_RANGES).map(([key, { label }]) =>
+      `<button type="button" class="chart-range${key === initialRange ? ' active' : ''}" data-range="${key}">${label}</button>`
+    ).join('');
+
+    return `
+      <details class="chart-details" data-event-id="${Utils.escapeAttribute(MarketProviders.eventKey(event))}" data-initial-range="${initialRange}">
+        <summary>Price chart</summary>
+        <div class="chart-ranges">${ranges}</div>
+        <div class="price-chart"></div>
+      </details>
+    `;
+  },
+
+  /**
+   * Series to chart for an event: each outcome of a single non-Yes/No market,
+   * otherwise the Yes price of the event's most likely markets
+   * @private
+   */
+  _chartSeries(event) {
+    if (event.markets.length === 1) {
+      const market = event.markets[0];
+      if (market.outcomes?.length > 1 && !market.yesNo) {
+        return market.outcomes
+          .filter(outcome => outcome.tokenId)
+          .slice(0, CONFIG.PRICE_CHART_MAX_SERIES)
+          .map(outcome => ({ label: outcome.label, tokenId: outcome.tokenId }));
+      }
+    }
+
+    return [...event.markets]
+      .filter(market => market.tokenId)
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, CONFIG.PRICE_CHART_MAX_SERIES)
+      .map(market => ({ label: market.title, tokenId: market.tokenId }));
+  },
+
+  /**
+   * Draw charts when opened and redraw on range changes
+   * Uses delegation, since cards are re-rendered with innerHTML.
+   * @private
+   */
+  _bindPriceCharts() {
+    const list = this.elements.marketsList;
+
+    // `toggle` doesn't bubble, so listen during capture
+    list.addEventListener('toggle', (e) => {
+      const details = e.target;
+      if (details.matches?.('.chart-details') && details.open && !details.dataset.range) {
+        this._loadPriceChart(details, details.dataset.initialRange);
+      }
+    }, true);
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('.chart-range');
+      if (!button) return;
+      const details = button.closest('.chart-details');
+      details.querySelectorAll('.chart-range').forEach(b => b.classList.toggle('active', b === button));
+      this._loadPriceChart(details, button.dataset.range);
+    });
+  },
+
+  /**
+   * Fetch history for a chart's series and draw it
+   * @private
+   */
+  async _loadPriceChart(details, range) {
+    const event = this._renderedEvents.get(details.dataset.eventId);
+    if (!event) return;
+
+    details.dataset.range = range;
+    const container = details.querySelector('.price-chart');
+    container.classList.add('loading');
+
+    const definitions = this._chartSeries(event);
+    // A series that fails to load is left out, and the chart shows its empty state if none load
+    const histories = await Promise.all(
+      definitions.map(def => MarketProviders.fetchPriceHistory(event.provider, def.tokenId, range).catch((error) => {
+        console.warn('Price history fetch failed:', error.message);
+        return [];
+      }))
+    );
+
+    // A newer range was picked while this one loaded
+    if (details.dataset.range !== range) return;
+
+    container.classList.remove('loading');
+    PriceChart.render(container, definitions.map((def, i) => ({ label: def.label, history: histories[i] })), range);
+  },
+
+  /**
+   * Colored dot summarizing how well the order book backs the price
+   * @private
+   */
+  _renderConfidenceDot(market) {
+    if (!market.orderBook) return '';
+    return `<span class="confidence-dot confidence-${market.orderBook.confidence}" title="${this._describeOrderBook(market.orderBook)}"></span>`;
+  },
+
+  /**
+   * Confidence dot plus spread and depth, for single-market cards
+   * @private
+   */
+  _renderConfidence(market) {
+    const book = market.orderBook;
+    if (!book) return '';
+    const text = book.spread === null
+      ? 'No two-sided order book'
+      : `Spread ${this._formatCents(book.spread)} · $${Utils.formatVolume(book.bidDepth + book.askDepth)} depth`;
+    return `<span class="confidence confidence-${book.confidence}" title="${this._describeOrderBook(book)}"><span class="confidence-dot"></span>${text}</span>`;
+  },
+
+  /**
+   * Expandable depth charts for markets with a two-sided book
+   * @private
+   */
+  _renderDepthDetails(markets) {
+    const withBooks = markets.filter(m => m.orderBook?.midpoint != null);
+    if (withBooks.length === 0) return '';
+
+    return `
+      <details class="depth-details">
+        <summary>Order book depth</summary>
+        ${withBooks.map(market => `
+          <div class="depth-market">
+            ${withBooks.length > 1 ? `<div class="depth-market-title">${Utils.escapeHtml(market.title)}</div>` : ''}
+            ${Utils.generateDepthChart(market.orderBook)}
+            <div class="depth-stats">${this._describeOrderBook(market.orderBook)}</div>
+          </div>
+        `).join('')}
+      </details>
+    `;
+  },
+
+  /**
+   * One-line order book summary
+   * @private
+   */
+  _describeOrderBook(book) {
+    if (book.spread === null) return 'No two-sided order book';
+    const range = this._formatCents(CONFIG.ORDER_BOOK_DEPTH_RANGE);
+    return `Bid ${this._formatCents(book.bestBid)} · Mid ${this._formatCents(book.midpoint)} · Ask ${this._formatCents(book.bestAsk)} · `
+      + `$${Utils.formatVolume(book.bidDepth)} bids / $${Utils.formatVolume(book.askDepth)} asks within ${range}`;
+  },
+
+  /**
+   * 0.015 -> "1.5¢"
+   * @private
+   */
+  _formatCents(price) {
+    return `${parseFloat((price * 100).toFixed(1))}\u00a2`;
+  },
+
+  /**
+   * Whether a market's price should be de-emphasized
+   * @private
+   */
+  _isFlagged(market) {
+    return Boolean(market.illiquid || market.stale);
+  },
+
+  /**
+   * Badges for illiquid or stale markets
+   * @private
+   */
+  _renderFlags(market) {
+    const flags = [];
+    if (market.illiquid) flags.push('<span class="market-flag" title="Thin order book or wide spread">Illiquid</span>');
+    if (market.stale) flags.push('<span class="market-flag" title="No trades in the last 24 hours">Stale</span>');
+    const unusual = Utils.calculateMovement(market.priceHistory)?.unusual;
+    if (unusual) {
+      const title = `Moved ${this._formatPoints(unusual.points)} pts in ${unusual.window}, over ${CONFIG.UNUSUAL_MOVE_SIGMA}× its usual volatility`;
+      flags.push(`<span class="market-flag unusual-move" title="${title}">Unusual move</span>`);
+    }
+    return flags.join('');
+  },
+
+  /**
+   * Price change badge over the history's range, with every window in its tooltip
+   * @param {Object} market - Market with `priceHistory`
+   * @param {string} [fallback] - Markup when there's no history
+   * @private
+   */
+  _renderPriceChange(market, fallback = '') {
+    const change = Utils.calculatePriceChange(market.priceHistory);
+    if (!change) return fallback;
+    const title = this._describeMovement(Utils.calculateMovement(market.priceHistory));
+    return `<span class="price-change ${change.direction}" title="${title}">${change.arrow}${change.value}pt</span>`;
+  },
+
+  /**
+   * Point changes per window and volatility, for single-market cards
+   * @private
+   */
+  _renderMovement(market) {
+    const movement = Utils.calculateMovement(market.priceHistory);
+    const text = this._describeMovement(movement);
+    if (!text) return '';
+    return `<div class="movement${movement.unusual ? ' unusual' : ''}">${text}</div>`;
+  },
+
+  /**
+   * "1h +0.4 · 24h +2.1 · 7d −3.0 pts · Volatility 1.9 pts/day"
+   * @private
+   */
+  _describeMovement(movement) {
+    if (!movement) return '';
+    const changes = Object.entries(movement.changes)
+      .filter(([, points]) => points !== null)
+      .map(([window, points]) => `${window} ${this._formatPoints(points)}`);
+    const parts = changes.length > 0 ? [`${changes.join(' · ')} pts`] : [];
+    if (movement.volatility !== null) {
+      parts.push(`Volatility ${movement.volatility.toFixed(1)} pts/day`);
+    }
+    return parts.join(' · ');
+  },
+
+  /**
+   * Signed percentage points, e.g. "+2.1" or "−0.4"
+   * @private
+   */
+  _formatPoints(points) {
+    return `${points < 0 ? '\u2212' : '+'}${Math.abs(points).toFixed(1)}`;
+  },
+
+  /**
+   * Render the tabs an event was found from (whole-window analysis only)
+   * @private
+   */
+  _renderSources(event) {
+    if (!event.sources?.length) return '';
+    const titles = event.sources.map(source =>
+      `<span title="${Utils.escapeAttribute(source.url)}">${Utils.escapeHtml(source.title)}</span>`
+    );
+    return `<div class="event-sources">From ${event.sources.length === 1 ? 'tab' : `${event.sources.length} tabs`}: ${titles.join(' · ')}</div>`;
+  },
+
+  /**
+   * Render the event's embedding similarity to the page, as debug info
+   * @private
+   */
+  _renderRelevance(event) {
+    if (!AppState.showAnalysis || event.relevance === undefined) return '';
+    return `<div class="event-relevance" title="Similarity between the page and this market; markets below ${RelevanceRanker.threshold()} are hidden">Relevance ${event.relevance.toFixed(2)}</div>`;
+  },
+
+  // ============ Manual Search ============
+
+  /**
+   * Toggle the manual search panel, focusing the query box when opened
+   */
+  toggleSearchPanel() {
+    const hidden = this.elements.searchPanel.classList.toggle('hidden');
+    if (!hidden) {
+      this.elements.searchQuery.focus();
+    }
+  },
+
+  /**
+   * Read the search panel's query and filters
+   * @returns {{query: string, filters: Object}} Arguments for MarketProviders.searchEvents
+   */
+  getSearchRequest() {
+    const el = this.elements;
+    return {
+      query: el.searchQuery.value,
+      filters: {
+        tag: el.searchTag.value,
+        status: el.searchStatus.value,
+        endDateMin: el.searchEndDateMin.value,
+        endDateMax: el.searchEndDateMax.value,
+        minVolume: parseFloat(el.searchMinVolume.value) || 0,
+        minLiquidity: parseFloat(el.searchMinLiquidity.value) || 0,
+        sort: el.searchSort.value
+      }
+    };
+  },
+
+  /**
+   * Show a status line under the search filters
+   * @param {string} text - Status text, or empty to hide
+   */
+  setSearchSummary(text) {
+    this.elements.searchSummary.textContent = text;
+    this.elements.searchSummary.classList.toggle('hidden', !text);
+  },
+
+  /**
+   * Display manual search results (no page analysis to show)
+   * @param {Array} events - Market events to display
+   */
+  displaySearchResults(events) {
+    this.showSearchFailures(null);
+    this.elements.analysis.classList.add('hidden');
+    this.elements.keywords.classList.add('hidden');
+    this.elements.agentDebugLog.classList.add('hidden');
+    this.renderMarkets(events);
+    this.showResults();
+  },
+
   // ============ Screenshot ============
 
   /**
@@ -299,16 +1189,61 @@ const UI = {
    * Update API key input visibility and privacy note based on model
    */
   updateApiKeyVisibility() {
+    const backend = LlmBackends.active();
+    const usingGemini = backend === GeminiBackend;
+    this.elements.geminiModelGroup.classList.toggle('hidden', !usingGemini);
+    this.elements.llmEndpointGroup.classList.toggle('hidden', usingGemini);
+    this.elements.llmApiKeyGroup.classList.toggle('hidden', backend !== OpenAiBackend);
+    // The threshold only applies when the backend can embed
+    this.elements.relevanceThresholdGroup.classList.toggle(
+      'hidden', AppState.isUsingNano() || !backend.embeddingModel()
+    );
+    this.elements.relevanceThreshold.placeholder = `Default: ${backend.defaultRelevanceThreshold}`;
+
     if (AppState.isUsingNano()) {
       this.elements.apiKeyGroup.classList.add('hidden');
       this.elements.privacyNote.textContent = 'Your data stays on your device — nothing is sent to the cloud.';
-    } else {
+    } else if (usingGemini) {
       this.elements.apiKeyGroup.classList.remove('hidden');
       this.elements.privacyNote.textContent = 'Your data goes directly to Gemini — we never see what you analyze.';
+    } else {
+      this.elements.apiKeyGroup.classList.add('hidden');
+      this.elements.privacyNote.textContent = `Your data goes directly to ${this._backendHost(backend)} — we never see what you analyze.`;
     }
     this.updateAgenticModeVisibility();
   },
 
+  /**
+   * Fill the base URL, model, key and embedding model fields from the selected backend's settings
+   */
+  fillLlmEndpoint() {
+    const backend = LlmBackends.active();
+    if (backend === GeminiBackend) return;
+
+    const endpoint = AppState.llmEndpoint();
+    const modelExamples = { openai: 'e.g. gpt-4o-mini', ollama: 'e.g. llama3.2-vision' };
+    const embeddingExamples = { openai: 'e.g. text-embedding-3-small', ollama: 'e.g. nomic-embed-text' };
+    this.elements.llmBaseUrl.value = endpoint.baseUrl;
+    this.elements.llmBaseUrl.placeholder = backend.defaultBaseUrl;
+    this.elements.llmModel.value = endpoint.model;
+    this.elements.llmModel.placeholder = modelExamples[backend.id] || '';
+    this.elements.llmApiKey.value = endpoint.apiKey;
+    this.elements.llmEmbeddingModel.value = endpoint.embeddingModel;
+    this.elements.llmEmbeddingModel.placeholder = embeddingExamples[backend.id] || '';
+  },
+
+  /**
+   * Host a backend's requests go to, for the privacy note
+   * @private
+   */
+  _backendHost(backend) {
+    try {
+      return new URL(LlmBackends.baseUrl(backend)).host;
+    } catch (e) {
+      return 'your server';
+    }
+  },
+
   /**
    * Show Nano option in model dropdown
    */
@@ -365,7 +1300,17 @@ const UI = {
       this.elements.geminiKey.placeholder = 'Enter your Gemini API key';
     }
 
+    this.elements.llmBackend.value = AppState.llmBackend;
+    this.fillLlmEndpoint();
     this.elements.geminiModel.value = AppState.geminiModel;
+    this.elements.summaryLanguage.value = AppState.summaryLanguage;
+    this.elements.screenshotMode.value = AppState.screenshotMode;
+    this.elements.marketProviders.forEach(input => {
+      input.checked = AppState.marketProviders.includes(input.value);
+    });
+    this.elements.includeResolved.checked = AppState.includeResolved;
+    this.elements.sortByMovers.checked = AppState.sortByMovers;
+    this.elements.relevanceThreshold.value = AppState.relevanceThreshold ?? '';
     this.elements.showAnalysis.checked = AppState.showAnalysis;
     this.elements.agenticMode.checked = AppState.agenticMode;
     this.updateAgenticModeVisibility();
@@ -472,7 +1417,7 @@ const UI = {
           <line x1="12" y1="8" x2="12" y2="12"></line>
           <line x1="12" y1="16" x2="12.01" y2="16"></line>
         </svg>
-        <span class="fallback-notice-text">${message || 'Using basic analysis mode. For better results, check your Gemini API key in settings.'}</span>
+        <span class="fallback-notice-text">${message || this._fallbackHint()}</span>
         <button class="fallback-notice-dismiss" title="Dismiss">&times;</button>
       </div>
     `;
@@ -484,6 +1429,18 @@ const UI = {
     });
   },
 
+  /**
+   * What to check when the model couldn't be used
+   * @private
+   */
+  _fallbackHint() {
+    const backend = LlmBackends.active();
+    if (backend === GeminiBackend) {
+      return 'Using basic analysis mode. For better results, check your Gemini API key in settings.';
+    }
+    return `Using basic analysis mode. For better results, check that ${Utils.escapeHtml(this._backendHost(backend))} is running and serves the model set in settings.`;
+  },
+
   /**
    * Hide fallback notice
    */
@@ -14,6 +14,21 @@ const Utils = {
     return div.innerHTML;
   },
 
+  /**
+   * Escape text for a double- or single-quoted HTML attribute
+   * escapeHtml leaves quotes alone, which is only safe between tags.
+   * @param {*} text - Text to escape
+   * @returns {string} Escaped attribute value
+   */
+  escapeAttribute(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
   /**
    * Normalize URL by removing tracking parameters
    * @param {string} url - URL to normalize
@@ -39,6 +54,20 @@ const Utils = {
     }
   },
 
+  /**
+   * Accept a URL from an API response only if it is https
+   * @param {string} url - URL to check
+   * @returns {string|null} The parsed URL, or null if it isn't a valid https URL
+   */
+  httpsUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.protocol === 'https:' ? urlObj.href : null;
+    } catch (e) {
+      return null;
+    }
+  },
+
   /**
    * Format volume numbers to human-readable format (K, M)
    * @param {string|number} volume - Volume to format
@@ -54,6 +83,59 @@ const Utils = {
     return num.toFixed(0);
   },
 
+  /**
+   * Time left until an end date, e.g. "Ends in 3d" or "Ended 2h ago"
+   * @param {string|null} endDate - ISO date string
+   * @returns {string} Countdown text, or '' if there's no date
+   */
+  formatCountdown(endDate) {
+    const end = Date.parse(endDate);
+    if (Number.isNaN(end)) return '';
+
+    const diff = end - Date.now();
+    const minutes = Math.abs(diff) / 60000;
+    let span;
+    if (minutes < 60) {
+      span = `${Math.max(1, Math.round(minutes))}m`;
+    } else if (minutes < 48 * 60) {
+      span = `${Math.round(minutes / 60)}h`;
+    } else if (minutes < 60 * 24 * 60) {
+      span = `${Math.round(minutes / (24 * 60))}d`;
+    } else {
+      // Far off or long past: the date says more than a day count
+      const date = new Date(end).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+      return diff > 0 ? `Ends ${date}` : `Ended ${date}`;
+    }
+    return diff > 0 ? `Ends in ${span}` : `Ended ${span} ago`;
+  },
+
+  /**
+   * Shorten text to a length, breaking at a word where possible
+   * @param {string} text - Text to shorten
+   * @param {number} maxLength - Maximum length including the ellipsis
+   * @returns {string}
+   */
+  truncate(text, maxLength) {
+    if (!text || text.length <= maxLength) return text || '';
+    const cut = text.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+  },
+
+  /**
+   * Cap events for display, keeping order
+   * Resolved events have their own cap so they don't crowd out open markets.
+   * @param {Array} events - Ranked events
+   * @returns {Array}
+   */
+  limitDisplayedEvents(events) {
+    let open = 0;
+    let resolved = 0;
+    return events.filter(event => event.closed
+      ? ++resolved <= CONFIG.MAX_RESOLVED_TO_DISPLAY
+      : ++open <= CONFIG.MAX_MARKETS_TO_DISPLAY);
+  },
+
   /**
    * Convert base64 string to Blob
    * @param {string} base64 - Base64 encoded string
@@ -83,47 +165,207 @@ const Utils = {
   },
 
   /**
-   * Parse JSON from AI response text, with fallback handling
+   * Parse a model's JSON response and check it against a schema
    * @param {string} text - Raw response text
-   * @param {string} fallbackTitle - Fallback keyword if parsing fails
-   * @returns {Object} Parsed analysis object with summary and keywords
+   * @param {Object} schema - JSON Schema, see CONFIG.RESPONSE_SCHEMAS
+   * @returns {*} Parsed value
+   * @throws {Error} If the text isn't JSON or doesn't match the schema
    */
-  parseAnalysisResponse(text, fallbackTitle) {
-    const cleanedText = this.cleanMarkdownCodeFences(text);
-
-    // Try to extract JSON from the response
-    const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
+  parseJsonResponse(text, schema) {
+    const cleanedText = this.cleanMarkdownCodeFences(text || '');
+    let value;
+    try {
+      value = JSON.parse(cleanedText);
+    } catch (e) {
+      // Chat replies (e.g. the agent's final answer) may wrap the JSON in prose
+      const block = cleanedText.match(schema.type === 'array' ? /\[[\s\S]*\]/ : /\{[\s\S]*\}/);
       try {
-        return JSON.parse(jsonMatch[0]);
-      } catch (e) {
-        console.error('JSON parse error:', e);
+        value = JSON.parse(block?.[0]);
+      } catch (blockError) {
+        throw new Error(`Response is not valid JSON: ${e.message}`);
       }
     }
 
-    // Smarter fallback - try to extract summary from partial JSON
-    const summaryMatch = cleanedText.match(/"summary"\s*:\s*"([^"]+)/);
-    return {
-      summary: summaryMatch ? summaryMatch[1] : 'Unable to analyze this page.',
-      keywords: [fallbackTitle]
+    const problem = this.validateJson(value, schema);
+    if (problem) {
+      throw new Error(`Response does not match the schema: ${problem}`);
+    }
+    return value;
+  },
+
+  /**
+   * Check a value against the subset of JSON Schema used for model responses
+   * (type, properties, required, items, minItems). Optional properties may be null.
+   * @param {*} value - Value to check
+   * @param {Object} schema - JSON Schema
+   * @param {string} [path] - Location of the value, for the message
+   * @returns {string|null} First problem found, or null if the value matches
+   */
+  validateJson(value, schema, path = 'response') {
+    const checks = {
+      object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+      array: v => Array.isArray(v),
+      string: v => typeof v === 'string',
+      integer: v => Number.isInteger(v),
+      number: v => typeof v === 'number' && Number.isFinite(v),
+      boolean: v => typeof v === 'boolean'
     };
+    if (!checks[schema.type](value)) return `${path} should be of type ${schema.type}`;
+
+    if (schema.type === 'array') {
+      if (schema.minItems && value.length < schema.minItems) {
+        return `${path} should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`;
+      }
+      for (let i = 0; i < value.length; i++) {
+        const problem = this.validateJson(value[i], schema.items, `${path}[${i}]`);
+        if (problem) return problem;
+      }
+    }
+
+    if (schema.type === 'object') {
+      for (const key of (schema.required || [])) {
+        if (value[key] == null) return `${path}.${key} is missing`;
+      }
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        if (value[key] == null) continue;
+        const problem = this.validateJson(value[key], property, `${path}.${key}`);
+        if (problem) return problem;
+      }
+    }
+    return null;
   },
 
   /**
-   * Parse filter indices array from AI response
-   * @param {string} text - Raw response text
-   * @returns {number[]|null} Array of indices or null if parsing fails
+   * Read what can already be used from an analysis response that's still streaming in
+   * @param {string} text - Response text so far
+   * @returns {{summary: string, keywords: string[]}} The summary so far, and the
+   *   keywords whose strings are complete
    */
-  parseFilterIndices(text) {
-    const match = text.match(/\[[\d,\s]*\]/);
-    if (!match) return null;
+  readPartialAnalysis(text) {
+    const summary = text.match(/"summary"\s*:\s*"((?:[^"\\]|\\.)*)/);
+    const keywordList = text.match(/"keywords"\s*:\s*\[((?:\s*"(?:[^"\\]|\\.)*"\s*,?)*)/);
+    return {
+      summary: summary ? this._decodeJsonString(summary[1]) : '',
+      keywords: keywordList
+        ? [...keywordList[1].matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => this._decodeJsonString(match[1]))
+        : []
+    };
+  },
 
+  /**
+   * Decode the body of a JSON string, which may end partway through a \u escape
+   * @private
+   */
+  _decodeJsonString(raw) {
     try {
-      return JSON.parse(match[0]);
+      return JSON.parse(`"${raw.replace(/\\u[0-9a-fA-F]{0,3}$/, '')}"`);
     } catch (e) {
-      console.error('Filter indices parse error:', e);
-      return null;
+      return raw;
+    }
+  },
+
+  /**
+   * Read a streamed response body line by line, to the end
+   * @param {ReadableStream} body - Response body
+   * @param {Function} onLine - Callback: (line) for each line, without its line break
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async readLines(body, onLine) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      const lines = (buffer + value).split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(onLine);
+    }
+    if (buffer) onLine(buffer);
+  },
+
+  /**
+   * Read a server-sent events stream to the end
+   * @param {ReadableStream} body - Response body
+   * @param {Function} onData - Callback: (data) with each event's data as a string
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async readServerSentEvents(body, onData) {
+    let data = [];
+    const dispatch = () => {
+      if (data.length > 0) onData(data.join('\n'));
+      data = [];
+    };
+
+    await this.readLines(body, (line) => {
+      if (line === '') {
+        dispatch();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    dispatch();
+  },
+
+  /**
+   * Split long text into chunks on paragraph boundaries
+   * If the document needs more than maxChunks, chunks are sampled evenly so
+   * the beginning, middle and end are all represented.
+   * @param {string} text - Text to split
+   * @param {number} chunkSize - Maximum characters per chunk
+   * @param {number} maxChunks - Maximum number of chunks to return
+   * @returns {string[]} Array of chunks
+   */
+  chunkText(text, chunkSize, maxChunks) {
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of text.split(/\n{2,}/)) {
+      // Hard-split paragraphs that are longer than a chunk (e.g. transcripts)
+      for (let start = 0; start < paragraph.length; start += chunkSize) {
+        const piece = paragraph.substring(start, start + chunkSize);
+        if (current && current.length + piece.length + 2 > chunkSize) {
+          chunks.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+      }
     }
+    if (current) chunks.push(current);
+
+    if (chunks.length <= maxChunks) return chunks;
+
+    const step = (chunks.length - 1) / (maxChunks - 1);
+    return Array.from({ length: maxChunks }, (_, i) => chunks[Math.round(i * step)]);
+  },
+
+  /**
+   * Merge per-chunk analyses into one result
+   * Keywords and entities are deduplicated case-insensitively and ranked by
+   * how many chunks mention them, ties broken by first appearance. Every
+   * chunk's summary is kept, in order, up to MERGED_SUMMARY_MAX_LENGTH.
+   * @param {Array<{summary: string, keywords: string[], entities: string[]}>} results - Chunk analyses in document order
+   * @returns {{summary: string, keywords: string[], entities: string[]}} Merged analysis
+   */
+  mergeChunkAnalyses(results) {
+    const rank = (lists) => {
+      const counts = new Map();
+      lists.flat().forEach((item, order) => {
+        if (typeof item !== 'string' || !item.trim()) return;
+        const key = item.trim().toLowerCase();
+        const entry = counts.get(key) || { text: item.trim(), count: 0, order };
+        entry.count++;
+        counts.set(key, entry);
+      });
+      return Array.from(counts.values())
+        .sort((a, b) => b.count - a.count || a.order - b.order)
+        .map(e => e.text);
+    };
+
+    return {
+      summary: this.truncate(results.map(r => r.summary).filter(Boolean).join(' '), CONFIG.MERGED_SUMMARY_MAX_LENGTH),
+      keywords: rank(results.map(r => r.keywords || [])).slice(0, CONFIG.MAX_MERGED_KEYWORDS),
+      entities: rank(results.map(r => r.entities || []))
+    };
   },
 
   /**
@@ -147,7 +389,58 @@ const Utils = {
   },
 
   /**
-   * Calculate price change from history data
+   * Pair outcome labels with their prices
+   * @param {string|Array} outcomes - Outcome labels (JSON string or array)
+   * @param {string|Array} outcomePrices - Outcome prices (JSON string or array)
+   * @param {string|Array} [tokenIds] - Token IDs in the same order (JSON string or array)
+   * @returns {Array<{label: string, probability: number, tokenId: string|null}>}
+   */
+  parseOutcomes(outcomes, outcomePrices, tokenIds) {
+    const parse = (value) => {
+      try {
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (e) {
+        return [];
+      }
+    };
+    const labels = parse(outcomes);
+    const ids = parse(tokenIds);
+
+    return parse(outcomePrices).map((price, i) => ({
+      label: labels[i] || `Outcome ${i + 1}`,
+      probability: Math.round(parseFloat(price) * 100),
+      tokenId: ids[i] || null
+    }));
+  },
+
+  /**
+   * Whether outcomes are a plain Yes/No pair, where the Yes price says it all
+   * @param {Array} outcomes - Outcomes from parseOutcomes
+   * @returns {boolean}
+   */
+  isYesNoMarket(outcomes) {
+    return outcomes.length === 2
+      && outcomes[0].label.toLowerCase() === 'yes'
+      && outcomes[1].label.toLowerCase() === 'no';
+  },
+
+  /**
+   * For events with mutually exclusive markets (negative risk on Polymarket,
+   * e.g. "Who will win?"), the Yes prices should add up to about 100%. A
+   * large gap means some prices are stale or the book is thin.
+   * Sets `outcomeSum` and `outcomeSumOff` on the event.
+   * @param {Object} event - Normalized event
+   */
+  checkOutcomeSum(event) {
+    if (!event.negRisk || event.markets.length < 2) return;
+
+    event.outcomeSum = event.markets.reduce((sum, market) => sum + market.probability, 0);
+    event.outcomeSumOff = Math.abs(event.outcomeSum - 100) > CONFIG.NEG_RISK_SUM_TOLERANCE;
+  },
+
+  /**
+   * Calculate price change over the whole history, in percentage points
    * @param {Array} history - Price history array with {p: price} objects
    * @returns {Object|null} Price change info or null
    */
@@ -156,7 +449,7 @@ const Utils = {
 
     const oldest = history[0].p;
     const newest = history[history.length - 1].p;
-    const change = ((newest - oldest) / oldest) * 100;
+    const change = (newest - oldest) * 100;
 
     return {
       value: Math.abs(change).toFixed(1),
@@ -165,6 +458,87 @@ const Utils = {
     };
   },
 
+  /**
+   * Point changes over each movement window, realized volatility, and whether
+   * the latest move is unusual for this market
+   * A move is unusual when it is UNUSUAL_MOVE_SIGMA times the volatility the
+   * market showed before the last day, scaled to the window.
+   * @param {Array} history - Price history array with {t, p} objects, oldest first
+   * @returns {Object|null} `{ changes: {'1h', '24h', '7d'}, volatility, unusual }`: changes
+   *   in points (null if the history doesn't reach back), daily volatility in points,
+   *   and `{ window, points }` for an unusual move or null
+   */
+  calculateMovement(history) {
+    if (!history || history.length < 2) return null;
+
+    const now = Date.now() / 1000;
+    const latest = history[history.length - 1].p;
+    const changes = {};
+    for (const [window, seconds] of Object.entries(CONFIG.MOVEMENT_WINDOWS)) {
+      const since = now - seconds;
+      let base = null;
+      for (const point of history) {
+        if (point.t > since) break;
+        base = point;
+      }
+      if (!base && history[0].t - since <= seconds * CONFIG.MOVEMENT_WINDOW_SLACK) {
+        base = history[0];
+      }
+      changes[window] = base ? (latest - base.p) * 100 : null;
+    }
+
+    const baseline = history.filter(point => point.t <= now - CONFIG.MOVEMENT_WINDOWS['24h']);
+    const variance = this._realizedVariance(baseline);
+    let unusual = null;
+    if (baseline.length > CONFIG.MOVEMENT_MIN_BASELINE_STEPS) {
+      for (const window of ['1h', '24h']) {
+        const points = changes[window];
+        if (points === null || Math.abs(points) < CONFIG.UNUSUAL_MOVE_MIN_POINTS) continue;
+        const expected = Math.sqrt(variance * CONFIG.MOVEMENT_WINDOWS[window]);
+        if (Math.abs(points) >= CONFIG.UNUSUAL_MOVE_SIGMA * expected) {
+          unusual = { window, points };
+          break;
+        }
+      }
+    }
+
+    const fullVariance = this._realizedVariance(history);
+    return {
+      changes,
+      volatility: fullVariance === null ? null : Math.sqrt(fullVariance * CONFIG.MOVEMENT_WINDOWS['24h']),
+      unusual
+    };
+  },
+
+  /**
+   * Realized variance of price in points², per second
+   * @private
+   */
+  _realizedVariance(history) {
+    if (history.length < 2) return null;
+    let sumSquares = 0;
+    for (let i = 1; i < history.length; i++) {
+      sumSquares += ((history[i].p - history[i - 1].p) * 100) ** 2;
+    }
+    const elapsed = history[history.length - 1].t - history[0].t;
+    return elapsed > 0 ? sumSquares / elapsed : null;
+  },
+
+  /**
+   * Order events by their largest 24-hour move, biggest first
+   * @param {Array} events - Events with price history
+   * @returns {Array} Sorted copy
+   */
+  sortByMovement(events) {
+    const score = (event) => Math.max(0, ...event.markets.map(market =>
+      Math.abs(this.calculateMovement(market.priceHistory)?.changes['24h'] ?? 0)
+    ));
+    return events
+      .map(event => ({ event, score: score(event) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ event }) => event);
+  },
+
   /**
    * Generate SVG sparkline from price history
    * @param {Array} history - Price history array
@@ -197,6 +571,116 @@ const Utils = {
     `;
   },
 
+  /**
+   * Summarize a CLOB order book: best prices, spread, and depth near the midpoint
+   * @param {Object} book - Order book with `bids` and `asks` arrays of {price, size} strings
+   * @returns {Object} {bestBid, bestAsk, spread, midpoint, bidDepth, askDepth, confidence, levels}
+   *   Prices are 0-1, depths in USD within ORDER_BOOK_DEPTH_RANGE of the midpoint,
+   *   levels are cumulative [price, usd] steps for the depth chart
+   */
+  summarizeOrderBook(book) {
+    const side = (orders) => (orders || [])
+      .map(o => ({ price: parseFloat(o.price), size: parseFloat(o.size) }))
+      .filter(o => o.price > 0 && o.size > 0);
+    const bids = side(book?.bids).sort((a, b) => b.price - a.price);
+    const asks = side(book?.asks).sort((a, b) => a.price - b.price);
+
+    const bestBid = bids[0]?.price ?? null;
+    const bestAsk = asks[0]?.price ?? null;
+    const hasBoth = bestBid !== null && bestAsk !== null;
+    const spread = hasBoth ? bestAsk - bestBid : null;
+    const midpoint = hasBoth ? (bestAsk + bestBid) / 2 : null;
+
+    // Cumulative dollars resting within range of the midpoint, best price first
+    const cumulate = (orders) => {
+      let total = 0;
+      return orders
+        .filter(o => midpoint !== null && Math.abs(o.price - midpoint) <= CONFIG.ORDER_BOOK_DEPTH_RANGE)
+        .map(o => {
+          total += o.price * o.size;
+          return [o.price, total];
+        });
+    };
+    const levels = { bids: cumulate(bids), asks: cumulate(asks) };
+    const bidDepth = levels.bids.at(-1)?.[1] || 0;
+    const askDepth = levels.asks.at(-1)?.[1] || 0;
+    const depth = bidDepth + askDepth;
+
+    let confidence = 'medium';
+    if (!hasBoth || spread > CONFIG.ILLIQUID_MAX_SPREAD || depth < CONFIG.CONFIDENCE_LOW_MIN_DEPTH_USD) {
+      confidence = 'low';
+    } else if (spread <= CONFIG.CONFIDENCE_HIGH_MAX_SPREAD && depth >= CONFIG.CONFIDENCE_HIGH_MIN_DEPTH_USD) {
+      confidence = 'high';
+    }
+
+    return { bestBid, bestAsk, spread, midpoint, bidDepth, askDepth, confidence, levels };
+  },
+
+  /**
+   * Generate an SVG depth chart: cumulative bids (left) and asks (right) of the midpoint
+   * @param {Object} orderBook - Summary from summarizeOrderBook
+   * @param {number} width - SVG width
+   * @param {number} height - SVG height
+   * @returns {string} SVG markup
+   */
+  generateDepthChart(orderBook, width = CONFIG.DEPTH_CHART_WIDTH, height = CONFIG.DEPTH_CHART_HEIGHT) {
+    if (!orderBook || orderBook.midpoint === null) return '';
+
+    const { midpoint, levels } = orderBook;
+    const maxDepth = Math.max(orderBook.bidDepth, orderBook.askDepth) || 1;
+    const x = (price) => ((price - midpoint) / CONFIG.ORDER_BOOK_DEPTH_RANGE + 1) * width / 2;
+    const y = (usd) => height - (usd / maxDepth) * height;
+
+    // Step outward from the midpoint, rising at each price level
+    const area = (steps, edge) => {
+      if (steps.length === 0) return '';
+      let previous = 0;
+      const points = [`${x(midpoint)},${height}`];
+      for (const [price, usd] of steps) {
+        points.push(`${x(price)},${y(previous)}`, `${x(price)},${y(usd)}`);
+        previous = usd;
+      }
+      points.push(`${edge},${y(previous)}`, `${edge},${height}`);
+      return points.join(' ');
+    };
+
+    return `
+      <svg width="${width}" height="${height}" class="depth-chart">
+        <polygon fill="${CONFIG.COLOR_TREND_UP}" fill-opacity="0.3" stroke="${CONFIG.COLOR_TREND_UP}" points="${area(levels.bids, 0)}"/>
+        <polygon fill="${CONFIG.COLOR_TREND_DOWN}" fill-opacity="0.3" stroke="${CONFIG.COLOR_TREND_DOWN}" points="${area(levels.asks, width)}"/>
+        <line x1="${width / 2}" y1="0" x2="${width / 2}" y2="${height}" stroke="#ccc" stroke-dasharray="2,2"/>
+      </svg>
+    `;
+  },
+
+  /**
+   * Generate an SVG histogram of a probability distribution with a median marker
+   * @param {Array<{label: string, probability: number}>} bins - Bins in order, probability in percent
+   * @param {number} medianPosition - Median as a position in bins (1.5 is halfway through the second)
+   * @param {number} width - SVG width
+   * @param {number} height - SVG height
+   * @returns {string} SVG markup
+   */
+  generateDistributionChart(bins, medianPosition, width = CONFIG.DISTRIBUTION_CHART_WIDTH, height = CONFIG.DISTRIBUTION_CHART_HEIGHT) {
+    if (!bins || bins.length === 0) return '';
+
+    const slot = width / bins.length;
+    const max = Math.max(...bins.map(bin => bin.probability), 1);
+    const bars = bins.map((bin, i) => {
+      const barHeight = (bin.probability / max) * (height - 2);
+      return `<rect x="${(i * slot + 1).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${Math.max(slot - 2, 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="#3A7BC0">`
+        + `<title>${this.escapeHtml(bin.label)}: ${bin.probability.toFixed(1)}%</title></rect>`;
+    }).join('');
+    const medianX = (medianPosition * slot).toFixed(1);
+
+    return `
+      <svg width="${width}" height="${height}" class="distribution-chart">
+        ${bars}
+        <line x1="${medianX}" y1="0" x2="${medianX}" y2="${height}" stroke="#f59e0b" stroke-width="1.5" stroke-dasharray="3,2"/>
+      </svg>
+    `;
+  },
+
   // ============ Local Keyword Extraction ============
 
   /**
@@ -252,6 +736,73 @@ const Utils = {
     'nasa', 'space', 'moon', 'mars', 'discovery'
   ]),
 
+  /**
+   * Stopwords for other common page languages
+   * Scripts without spaces (Chinese, Japanese) rely on Intl.Segmenter, whose
+   * output includes many single-character particles; those are dropped by
+   * the minimum token length instead.
+   */
+  STOPWORDS_BY_LANGUAGE: {
+    es: new Set([
+      'que', 'los', 'las', 'del', 'una', 'por', 'con', 'para', 'como', 'más', 'pero',
+      'sus', 'este', 'esta', 'entre', 'cuando', 'muy', 'sin', 'sobre', 'también',
+      'hasta', 'desde', 'está', 'son', 'han', 'fue', 'ser', 'hay', 'todo', 'otros',
+      'según', 'dijo', 'años', 'ese', 'esa', 'porque', 'donde', 'qué', 'nos', 'ahora'
+    ]),
+    de: new Set([
+      'der', 'die', 'das', 'und', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einer',
+      'nicht', 'mit', 'von', 'sich', 'auf', 'für', 'ist', 'auch', 'als', 'wie', 'noch',
+      'nach', 'bei', 'aus', 'sie', 'wird', 'werden', 'hat', 'haben', 'war', 'sind',
+      'aber', 'oder', 'wenn', 'über', 'vor', 'zum', 'zur', 'dass', 'sagte', 'jahr'
+    ]),
+    fr: new Set([
+      'les', 'des', 'une', 'est', 'que', 'qui', 'dans', 'pour', 'par', 'sur', 'pas',
+      'plus', 'avec', 'son', 'ses', 'aux', 'ont', 'été', 'mais', 'comme', 'cette',
+      'tout', 'elle', 'leur', 'nous', 'vous', 'sont', 'selon', 'après', 'avant', 'dit'
+    ]),
+    zh: new Set([
+      '我们', '他们', '你们', '这个', '那个', '一个', '没有', '什么', '因为', '所以',
+      '但是', '如果', '可以', '已经', '表示', '进行', '以及', '还是', '就是', '这些'
+    ]),
+    ja: new Set([
+      'これ', 'それ', 'あれ', 'この', 'その', 'ため', 'こと', 'もの', 'よう', 'ところ'
+    ])
+  },
+
+  /**
+   * Split text into lowercase word tokens in any script
+   * Uses Intl.Segmenter so languages written without spaces still yield
+   * words; otherwise falls back to runs of Unicode letters.
+   * @param {string} text - Text to tokenize
+   * @param {string|null} language - ISO 639-1 code, if known
+   * @returns {string[]} Tokens
+   */
+  tokenize(text, language) {
+    const lowered = text.toLocaleLowerCase(language || undefined);
+
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(language || undefined, { granularity: 'word' });
+      return Array.from(segmenter.segment(lowered))
+        .filter(segment => segment.isWordLike)
+        .map(segment => segment.segment);
+    }
+
+    return lowered.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  },
+
+  /**
+   * Whether a token is long and specific enough to be a keyword
+   * @private
+   */
+  _isKeywordCandidate(word, stopwords) {
+    // Han characters carry a whole word in two; alphabetic scripts need three
+    const minLength = /\p{Script=Han}/u.test(word) ? 2 : 3;
+    if (word.length < minLength || /^\p{N}+$/u.test(word)) return false;
+    // Kana-only tokens are almost always particles or inflections
+    if (/^[\p{Script=Hiragana}ー]+$/u.test(word)) return false;
+    return !this.STOPWORDS.has(word) && !stopwords?.has(word);
+  },
+
   /**
    * Extract keywords locally when Gemini API fails
    * @param {Object} pageContent - Extracted page content
@@ -259,15 +810,14 @@ const Utils = {
    * @returns {Object} Analysis result with summary and keywords
    */
   extractKeywordsLocal(pageContent, pageTitle) {
-    const text = `${pageTitle} ${pageContent.description} ${pageContent.text}`.toLowerCase();
-
-    // Tokenize: split on non-word characters, keep only words 3+ chars
-    const words = text.match(/\b[a-z]{3,}\b/g) || [];
+    const language = pageContent.language || null;
+    const stopwords = language ? this.STOPWORDS_BY_LANGUAGE[language] : null;
+    const words = this.tokenize(`${pageTitle} ${pageContent.description || ''} ${pageContent.text}`, language);
 
     // Count word frequencies
     const wordCounts = {};
     words.forEach(word => {
-      if (!this.STOPWORDS.has(word)) {
+      if (this._isKeywordCandidate(word, stopwords)) {
         wordCounts[word] = (wordCounts[word] || 0) + 1;
       }
     });
@@ -299,3 +849,4 @@ const Utils = {
 Object.freeze(Utils);
 Object.freeze(Utils.STOPWORDS);
 Object.freeze(Utils.TOPIC_BOOST_TERMS);
+Object.freeze(Utils.STOPWORDS_BY_LANGUAGE);